@@ -1,5 +1,10 @@
-// Usage: node generate-data.mjs
-import { promises as fs } from "fs";
+// Usage: node generate-data.mjs               -> writes resized variants, public/data/data.json and world.simple.json
+//        node generate-data.mjs --no-images   -> writes data.json without building missing variants
+//        node generate-data.mjs --watch       -> regenerates whenever images or the country/clue tables change
+//        node generate-data.mjs --check       -> reports dataset problems, exits 1 on errors
+import { promises as fs, watch } from "fs";
+import crypto from "crypto";
+import zlib from "zlib";
 import path from "path";
 import url from "url";
 
@@ -8,13 +13,71 @@ const PUBLIC_DIR  = path.resolve(__dirname, "public");
 const IMAGES_ROOT = path.join(PUBLIC_DIR, "images");      // /public/images/<country>/*.ext
 const OUT_DIR     = path.join(PUBLIC_DIR, "data");
 const OUT_FILE    = path.join(OUT_DIR, "data.json");
+const WORLD_FILE  = path.join(OUT_DIR, "world.json");     // GeoJSON the app renders; feature.id is the ISO code
+const SIMPLE_WORLD_FILE = path.join(OUT_DIR, "world.simple.json"); // world.json simplified for low zoom levels
+const ADMIN1_DIR  = path.join(OUT_DIR, "admin1");         // optional <CODE>.json per country; features named by properties.name
+const COUNTRIES_FILE = path.resolve(__dirname, "src", "data", "countries.json"); // ISO code -> region, sub-region, aliases
+const TAXONOMY_FILE = path.resolve(__dirname, "src", "data", "clueTaxonomy.json"); // filename stems -> clue types
+const VARIANTS_ROOT = path.join(PUBLIC_DIR, "variants");  // /public/variants/<country>/<slug>-<width>.<format>
+const CACHE_FILE  = path.resolve(__dirname, "node_modules", ".cache", "geocards", "images.json");
+const UNCATEGORISED = "Uncategorised";
 
 const IMAGE_EXTS = new Set([".png", ".jpg", ".jpeg", ".webp", ".avif"]);
 
-// Optional: normalize country folder name -> display name.
-// Example below title-cases "france" -> "France". Adjust to your taste.
-const NORMALIZE_COUNTRY = (name) =>
-  name.replace(/(^|[\s_-])([a-z])/g, (_, a, b) => a + b.toUpperCase());
+// Thumbnail and featured widths; never wider than the source. Keep VARIANT_FORMATS in sync with src/media.js.
+const VARIANT_WIDTHS = [320, 960];
+const VARIANT_FORMATS = { avif: { quality: 50, effort: 2 }, webp: { quality: 72 } };
+const PLACEHOLDER_WIDTH = 16;
+// Cached results are only valid for the settings that produced them.
+const VARIANT_SETTINGS = JSON.stringify({ VARIANT_WIDTHS, VARIANT_FORMATS, PLACEHOLDER_WIDTH });
+const WATCH_DELAY_MS = 300;
+
+// Optional per-image sidecar: "road (1).json" next to "road (1).png".
+//   { "explanation": "...", "tell": "...", "source": "...", "lat": 0, "lng": 0, "subdivision": "...",
+//     "annotations": [{ "box": [x, y, w, h], "label": "..." }, { "polygon": [[x, y], ...] }] }
+// Annotation coordinates are fractions (0-1) of the image width/height.
+// "subdivision" names a feature in the country's admin-1 layer, if it has one.
+const SIDECAR_FIELDS = new Set(["explanation", "tell", "source", "lat", "lng", "subdivision", "annotations"]);
+
+function isValidAnnotation(a) {
+  const inUnit = (n) => typeof n === "number" && n >= 0 && n <= 1;
+  if (Array.isArray(a?.box)) return a.box.length === 4 && a.box.every(inUnit);
+  if (Array.isArray(a?.polygon)) {
+    return a.polygon.length >= 3 && a.polygon.every(p => Array.isArray(p) && p.length === 2 && p.every(inUnit));
+  }
+  return false;
+}
+
+// Folder names are matched case-insensitively, ignoring spaces, "_" and "-" runs.
+const countryKey = (name) => name.trim().toLowerCase().replace(/[\s_-]+/g, " ");
+
+// Resolves folder names to { code, name, region, subregion } using world.json names plus the
+// country table. The display name is always world.json's, so the app and the map agree on it.
+async function loadCountryResolver() {
+  const world = JSON.parse(await fs.readFile(WORLD_FILE, "utf8"));
+  const table = JSON.parse(await fs.readFile(COUNTRIES_FILE, "utf8"));
+  const nameByCode = new Map();
+  const codeByKey = new Map();
+
+  for (const feature of world.features || []) {
+    const code = feature.id;
+    const name = feature.properties?.name;
+    if (!code || !name) continue;
+    nameByCode.set(code, name);
+    codeByKey.set(countryKey(name), code);
+  }
+  for (const [code, info] of Object.entries(table)) {
+    if (!nameByCode.has(code)) throw new Error(`${path.relative(__dirname, COUNTRIES_FILE)}: ${code} has no polygon in world.json`);
+    for (const alias of info.aliases || []) codeByKey.set(countryKey(alias), code);
+  }
+
+  return (folderName) => {
+    const code = codeByKey.get(countryKey(folderName));
+    if (!code) return null;
+    const { region = "", subregion = "" } = table[code] || {};
+    return { code, name: nameByCode.get(code), region, subregion };
+  };
+}
 
 function isImage(p) {
   return IMAGE_EXTS.has(path.extname(p).toLowerCase());
@@ -27,8 +90,9 @@ function sortLocale(a, b) {
   return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
 }
 
-// Derive type from filename (without extension). Keeps the base name and
+// Derive the type stem from filename (without extension). Keeps the base name and
 // strips only trailing counters like " (12)", "_12", "-12", or " 12".
+// The stem is then mapped to a canonical clue type via the taxonomy.
 function deriveType(filenameWithoutExt) {
   let base = filenameWithoutExt.trim();
   base = base.replace(/\s*\(\d+\)\s*$/i, "");   // remove " (12)"
@@ -36,53 +100,575 @@ function deriveType(filenameWithoutExt) {
   return base.trim();
 }
 
+// Maps a filename stem onto its canonical clue type and category (case-insensitive).
+async function loadTypeResolver() {
+  const taxonomy = JSON.parse(await fs.readFile(TAXONOMY_FILE, "utf8"));
+  const byStem = new Map();
+  for (const { category, types } of taxonomy) {
+    for (const { type, stems } of types) {
+      for (const stem of stems) byStem.set(stem.toLowerCase(), { type, category });
+    }
+  }
+  const resolve = (stem) => byStem.get(stem.toLowerCase()) || null;
+  resolve.stems = [...byStem.keys()];
+  return resolve;
+}
+
+// Returns { meta, problems } where meta is null when the image has no sidecar.
+async function readSidecar(imagePath) {
+  const file = imagePath.replace(/\.[^.]+$/, ".json");
+  let raw;
+  try { raw = await fs.readFile(file, "utf8"); }
+  catch { return { meta: null, problems: [] }; }
+
+  const rel = path.relative(__dirname, file);
+  let parsed;
+  try { parsed = JSON.parse(raw); }
+  catch (err) { throw new Error(`${rel}: invalid JSON (${err.message})`); }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { meta: null, problems: [`${rel}: sidecar must be a JSON object`] };
+  }
+
+  const problems = [];
+  const meta = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    if (!SIDECAR_FIELDS.has(key)) { problems.push(`${rel}: unknown field "${key}"`); continue; }
+    meta[key] = value;
+  }
+  const hasLat = typeof meta.lat === "number" && Math.abs(meta.lat) <= 90;
+  const hasLng = typeof meta.lng === "number" && Math.abs(meta.lng) <= 180;
+  if (("lat" in meta || "lng" in meta) && !(hasLat && hasLng)) {
+    problems.push(`${rel}: lat/lng must both be numbers within range`);
+    delete meta.lat;
+    delete meta.lng;
+  }
+  if ("subdivision" in meta && (typeof meta.subdivision !== "string" || !meta.subdivision.trim())) {
+    problems.push(`${rel}: subdivision must be a non-empty name`);
+    delete meta.subdivision;
+  }
+  if ("annotations" in meta) {
+    const list = Array.isArray(meta.annotations) ? meta.annotations : [];
+    const valid = list.filter(isValidAnnotation);
+    if (valid.length !== list.length || !Array.isArray(meta.annotations)) {
+      problems.push(`${rel}: annotations need a "box" [x, y, w, h] or a "polygon" of [x, y] points within 0-1`);
+    }
+    if (valid.length) meta.annotations = valid;
+    else delete meta.annotations;
+  }
+  return { meta: Object.keys(meta).length ? meta : null, problems };
+}
+
+/* ---------------------------- world.simple.json ---------------------------- */
+
+// Douglas-Peucker in degrees; 0.25° is about a pixel at zoom 2, and zoomed in the app swaps in world.json.
+const SIMPLIFY_TOLERANCE = 0.25;
+// Islands smaller than this (square degrees) are dropped, unless they're all a country has.
+const SIMPLIFY_MIN_AREA = 0.02;
+
+function segmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function simplifyRing(ring, tolerance) {
+  const keep = new Uint8Array(ring.length);
+  keep[0] = keep[ring.length - 1] = 1;
+  const stack = [[0, ring.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(ring[i], ring[first], ring[last]);
+      if (d > maxDist) { maxDist = d; index = i; }
+    }
+    if (maxDist > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  const round = (n) => Math.round(n * 100) / 100;
+  return ring.filter((_, i) => keep[i]).map(([x, y]) => [round(x), round(y)]);
+}
+
+function shoelace(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  return Math.abs(area / 2);
+}
+
+function simplifyGeometry(geometry) {
+  if (!geometry || (geometry.type !== "Polygon" && geometry.type !== "MultiPolygon")) return geometry;
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  const simplified = polygons
+    .filter(([outer]) => shoelace(outer) >= SIMPLIFY_MIN_AREA)
+    .map(rings => rings.map(ring => simplifyRing(ring, SIMPLIFY_TOLERANCE)).filter(ring => ring.length >= 4))
+    .filter(rings => rings.length && shoelace(rings[0]) > 0);
+  if (!simplified.length) {
+    const largest = polygons.reduce((a, b) => (shoelace(b[0]) > shoelace(a[0]) ? b : a));
+    return { type: "Polygon", coordinates: [largest[0]] };
+  }
+  return simplified.length === 1
+    ? { type: "Polygon", coordinates: simplified[0] }
+    : { type: "MultiPolygon", coordinates: simplified };
+}
+
+async function buildSimpleWorld() {
+  const world = JSON.parse(await fs.readFile(WORLD_FILE, "utf8"));
+  const features = world.features.map(f => ({ ...f, geometry: simplifyGeometry(f.geometry) }));
+  return JSON.stringify({ type: "FeatureCollection", features }) + "\n";
+}
+
+/* ---------------------------- images ---------------------------- */
+
+// sharp is only needed to build variants, so a missing install degrades to plain data.json.
+async function loadSharp() {
+  try { return (await import("sharp")).default; }
+  catch { return null; }
+}
+
+// Variant names avoid spaces and brackets so they can sit in a srcset unescaped.
+const slug = (name) => name.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "image";
+
+function variantBase(abs) {
+  const folder = path.basename(path.dirname(abs));
+  const name = path.basename(abs).replace(/\.[^.]+$/, "");
+  return path.join(VARIANTS_ROOT, slug(folder), slug(name));
+}
+
+async function exists(p) {
+  try { await fs.access(p); return true; }
+  catch { return false; }
+}
+
+async function hashFile(abs) {
+  return crypto.createHash("sha1").update(await fs.readFile(abs)).digest("hex").slice(0, 16);
+}
+
+function variantFiles(media) {
+  return (media.widths || []).flatMap(w =>
+    Object.keys(VARIANT_FORMATS).map(format => path.join(PUBLIC_DIR, `${media.variants}-${w}.${format}`)));
+}
+
+// Returns { width, height, placeholder, hash, variants?, widths? }. Variants are only written,
+// and listed, when `build` is set; every listed width exists in every format.
+async function processImage(sharp, abs, hash, build) {
+  const source = sharp(abs).rotate();
+  const info = await source.metadata();
+  const { width, height } = info.autoOrient || info;
+  const tiny = await source.clone().resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer();
+  const media = { width, height, placeholder: `data:image/webp;base64,${tiny.toString("base64")}`, hash };
+  if (!build) return media;
+
+  const base = variantBase(abs);
+  const widths = [...new Set(VARIANT_WIDTHS.map(w => Math.min(w, width)))];
+  await fs.mkdir(path.dirname(base), { recursive: true });
+  for (const w of widths) {
+    for (const [format, options] of Object.entries(VARIANT_FORMATS)) {
+      await source.clone().resize({ width: w })[format](options).toFile(`${base}-${w}.${format}`);
+    }
+  }
+  return { ...media, variants: toWebPath(base), widths };
+}
+
+// Image results from earlier runs, keyed by web path. The local cache holds { size, mtimeMs, hash, media };
+// without it the committed data.json stands in, matched by content hash alone. Variants are git-ignored,
+// so on a fresh checkout a build finds them missing and makes them again; --check doesn't need them.
+async function openImageCache(sharp, build) {
+  const cached = await fs.readFile(CACHE_FILE, "utf8").then(JSON.parse).catch(() => null);
+  const published = new Map();
+  if (!cached) {
+    const dataset = await fs.readFile(OUT_FILE, "utf8").then(JSON.parse).catch(() => []);
+    for (const entry of dataset) {
+      for (const item of entry.items || []) {
+        for (const [key, media] of Object.entries(item.media || {})) published.set(key, { media });
+      }
+    }
+  }
+  const entries = cached?.settings === VARIANT_SETTINGS ? new Map(Object.entries(cached.images)) : published;
+  return { sharp, build, entries, next: {}, processed: 0 };
+}
+
+async function saveImageCache(images) {
+  await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+  await fs.writeFile(CACHE_FILE, JSON.stringify({ settings: VARIANT_SETTINGS, images: images.next }));
+}
+
+async function isReusable(media, hash, build) {
+  if (!media || media.hash !== hash) return false;
+  if (!build) return true;
+  if (!media.variants) return false;
+  for (const file of variantFiles(media)) {
+    if (!(await exists(file))) return false;
+  }
+  return true;
+}
+
+// Only changed images go through sharp: an unchanged size and mtime skip even the hash,
+// and a touched file with the same bytes keeps its earlier result.
+async function describeImage(abs, images) {
+  const key = toWebPath(abs);
+  const { size, mtimeMs } = await fs.stat(abs);
+  const cached = images.entries.get(key);
+  const hash = cached?.size === size && cached.mtimeMs === mtimeMs ? cached.hash : await hashFile(abs);
+  let media = cached?.media;
+  if (!(await isReusable(media, hash, images.build))) {
+    media = await processImage(images.sharp, abs, hash, images.build);
+    images.processed += 1;
+  }
+  images.next[key] = { size, mtimeMs, hash, media };
+  return media;
+}
+
+// Drops variants whose source image was deleted or renamed.
+async function pruneVariants(dataset) {
+  const keep = new Set();
+  for (const entry of dataset) {
+    for (const item of entry.items) {
+      for (const media of Object.values(item.media || {})) variantFiles(media).forEach(f => keep.add(f));
+    }
+  }
+  let removed = 0;
+  for (const dir of await safeReaddir(VARIANTS_ROOT)) {
+    if (!dir.isDirectory()) continue;
+    const folder = path.join(VARIANTS_ROOT, dir.name);
+    const files = (await safeReaddir(folder)).filter(f => f.isFile());
+    for (const f of files) {
+      const abs = path.join(folder, f.name);
+      if (keep.has(abs)) continue;
+      await fs.unlink(abs);
+      removed += 1;
+    }
+    if (!(await safeReaddir(folder)).length) await fs.rmdir(folder);
+  }
+  return removed;
+}
+
+// Subdivision names in a country's admin-1 layer, or null when it has none.
+async function loadSubdivisionNames(code) {
+  const file = path.join(ADMIN1_DIR, `${code}.json`);
+  const raw = await fs.readFile(file, "utf8").catch(() => null);
+  if (raw === null) return null;
+  let layer;
+  try { layer = JSON.parse(raw); }
+  catch (err) { throw new Error(`${path.relative(__dirname, file)}: invalid JSON (${err.message})`); }
+  const names = (layer.features || []).map(f => f.properties?.name).filter(Boolean);
+  return new Set(names.map(n => n.toLowerCase()));
+}
+
 async function safeReaddir(dir) {
   try { return await fs.readdir(dir, { withFileTypes: true }); }
   catch { return []; }
 }
 
-async function main() {
+// `images`: null skips media entirely, otherwise the cache from openImageCache.
+async function buildDataset(images = null) {
   const countryDirs = (await safeReaddir(IMAGES_ROOT)).filter(d => d.isDirectory());
+  const resolveCountry = await loadCountryResolver();
+  const resolveType = await loadTypeResolver();
   const dataset = [];
+  const files = [];        // every image with its absolute path, for --check
+  const unmatched = [];
+  const unknownStems = []; // { country, stem } not covered by the taxonomy
+  const sidecarProblems = [];
+  const variantOwners = new Map(); // variant base -> source, since slugs can collide
 
   for (const c of countryDirs) {
-    const folderName  = c.name;                     // e.g., "france"
-    const countryName = NORMALIZE_COUNTRY(folderName); // -> "France"
+    const folderName  = c.name;                     // e.g., "france", "UAE"
+    const country     = resolveCountry(folderName); // -> { code: "FR", name: "France" }
+    if (!country) { unmatched.push(folderName); continue; }
     const countryPath = path.join(IMAGES_ROOT, folderName);
+    const subdivisions = await loadSubdivisionNames(country.code);
 
     const entries = (await safeReaddir(countryPath)).filter(e => e.isFile());
     const byType = new Map();
+    const categories = new Map();
+    const metaByType = new Map();
+    const mediaByType = new Map();
 
     for (const f of entries) {
       const abs = path.join(countryPath, f.name);
       if (!isImage(abs)) continue;
 
       const nameNoExt = f.name.replace(/\.[^.]+$/, "");    // drop extension
-      const type = deriveType(nameNoExt);                  // e.g., "bollard", "pole", "YellowSign", "hwy"
-      if (!type) continue;
+      const stem = deriveType(nameNoExt);                  // e.g., "bollard", "Direction", "hwy"
+      if (!stem) continue;
+
+      // Unknown stems still become cards, under their own name, until the taxonomy learns them.
+      const clue = resolveType(stem);                      // e.g., "Direction" -> directionSign (Signage)
+      if (!clue && !unknownStems.some(u => u.country === country.name && u.stem === stem)) {
+        unknownStems.push({ country: country.name, stem });
+      }
+      const type = clue ? clue.type : stem;
+      categories.set(type, clue ? clue.category : UNCATEGORISED);
 
       if (!byType.has(type)) byType.set(type, []);
       byType.get(type).push(toWebPath(abs));
+      files.push({ abs, country: country.name, stem, type });
+
+      const { meta, problems } = await readSidecar(abs);
+      sidecarProblems.push(...problems);
+      if (meta?.subdivision && subdivisions && !subdivisions.has(meta.subdivision.toLowerCase())) {
+        sidecarProblems.push(`${path.relative(__dirname, abs)}: subdivision "${meta.subdivision}" is not in admin1/${country.code}.json`);
+      }
+      if (meta) {
+        if (!metaByType.has(type)) metaByType.set(type, {});
+        metaByType.get(type)[toWebPath(abs)] = meta;
+      }
+      if (images) {
+        const base = variantBase(abs);
+        if (variantOwners.has(base)) {
+          throw new Error(`${path.relative(__dirname, abs)} and ${path.relative(__dirname, variantOwners.get(base))} share the variant name ${toWebPath(base)}; rename one`);
+        }
+        variantOwners.set(base, abs);
+        if (!mediaByType.has(type)) mediaByType.set(type, {});
+        mediaByType.get(type)[toWebPath(abs)] = await describeImage(abs, images);
+      }
     }
 
+    // "meta" maps image path -> sidecar fields and is only present when some image has one;
+    // "media" maps image path -> size, blur placeholder and resized variants.
+    const byPath = (map) => Object.fromEntries(Object.keys(map).sort(sortLocale).map(k => [k, map[k]]));
     const items = [...byType.entries()]
-      .map(([type, images]) => ({ type, images: images.sort(sortLocale) }))
+      .map(([type, paths]) => {
+        const item = { type, category: categories.get(type), images: paths.sort(sortLocale) };
+        const meta = metaByType.get(type);
+        if (meta) item.meta = byPath(meta);
+        const media = mediaByType.get(type);
+        if (media) item.media = byPath(media);
+        return item;
+      })
       .sort((a, b) => sortLocale(a.type, b.type));
 
-    // Pre-fill region with an empty string so it can be filled manually later.
-    if (items.length) dataset.push({ country: countryName, region: "", items });
+    // "subdivisions" points the app at the country's admin-1 layer when there is one.
+    const { name, code, region, subregion } = country;
+    const layer = subdivisions ? { subdivisions: toWebPath(path.join(ADMIN1_DIR, `${code}.json`)) } : {};
+    if (items.length) dataset.push({ country: name, code, region, subregion, ...layer, items });
   }
 
   dataset.sort((a, b) => sortLocale(a.country, b.country));
 
-  await fs.mkdir(OUT_DIR, { recursive: true });
-  await fs.writeFile(OUT_FILE, JSON.stringify(dataset, null, 2) + "\n", "utf8");
+  const seenCodes = new Set();
+  const mergedCodes = new Set();
+  for (const entry of dataset) {
+    if (seenCodes.has(entry.code)) mergedCodes.add(`${entry.country} (${entry.code})`);
+    seenCodes.add(entry.code);
+  }
+
+  return {
+    dataset, files, unmatched, unknownStems, sidecarProblems,
+    mergedCodes: [...mergedCodes], knownStems: resolveType.stems,
+  };
+}
+
+function serialize(dataset) {
+  return JSON.stringify(dataset, null, 2) + "\n";
+}
+
+async function writeDataset() {
+  const sharp = await loadSharp();
+  if (!sharp) console.warn("⚠ sharp is not installed; writing data.json without image sizes or variants");
+  const images = sharp ? await openImageCache(sharp, !process.argv.includes("--no-images")) : null;
+  const { dataset, unmatched, unknownStems, sidecarProblems, mergedCodes } = await buildDataset(images);
+
+  // A folder that maps to no polygon could never be answered correctly, so refuse to write.
+  if (unmatched.length) {
+    throw new Error(
+      `No map polygon for image folder(s): ${unmatched.map(n => `"${n}"`).join(", ")}. ` +
+      `Rename the folder or add an alias in ${path.relative(__dirname, COUNTRIES_FILE)}.`
+    );
+  }
+  if (mergedCodes.length) {
+    throw new Error(`Several image folders resolve to ${mergedCodes.join(", ")}; merge them.`);
+  }
+
+  for (const problem of sidecarProblems) console.warn(`⚠ ${problem}`);
+  for (const { country, stem } of unknownStems) {
+    console.warn(`⚠ ${country}: "${stem}" is not in ${path.relative(__dirname, TAXONOMY_FILE)}; listed as ${UNCATEGORISED}`);
+  }
+
+  // Written whole and renamed into place, so a dev server never serves half a file, and left
+  // alone when nothing changed so a running app doesn't reload for nothing.
+  const output = serialize(dataset);
+  const changed = output !== await fs.readFile(OUT_FILE, "utf8").catch(() => null);
+  if (changed) {
+    await fs.mkdir(OUT_DIR, { recursive: true });
+    await fs.writeFile(`${OUT_FILE}.tmp`, output, "utf8");
+    await fs.rename(`${OUT_FILE}.tmp`, OUT_FILE);
+  }
+  const simpleWorld = await buildSimpleWorld();
+  if (simpleWorld !== await fs.readFile(SIMPLE_WORLD_FILE, "utf8").catch(() => null)) {
+    await fs.writeFile(SIMPLE_WORLD_FILE, simpleWorld, "utf8");
+    console.log(`✔ Wrote ${path.relative(process.cwd(), SIMPLE_WORLD_FILE)}`);
+  }
+  const pruned = images?.build ? await pruneVariants(dataset) : 0;
+  if (images) await saveImageCache(images);
 
   const itemCount  = dataset.reduce((n, c) => n + c.items.length, 0);
   const imageCount = dataset.reduce((n, c) => n + c.items.reduce((m, it) => m + it.images.length, 0), 0);
 
-  console.log(`✔ Wrote ${path.relative(process.cwd(), OUT_FILE)}`);
-  console.log(`  Countries: ${dataset.length} | Item types: ${itemCount} | Images: ${imageCount}`);
+  const resized = dataset.reduce((n, c) => n + c.items.reduce((m, it) => m + Object.values(it.media || {}).filter(x => x.variants).length, 0), 0);
+
+  console.log(`✔ ${changed ? "Wrote" : "Unchanged:"} ${path.relative(process.cwd(), OUT_FILE)}`);
+  console.log(`  Countries: ${dataset.length} | Item types: ${itemCount} | Images: ${imageCount} | Resized: ${resized}`);
+  if (images) console.log(`  Processed: ${images.processed} | Reused: ${imageCount - images.processed} | Pruned variants: ${pruned}`);
+}
+
+/* ---------------------------- --watch ---------------------------- */
+
+// Runs are serialised: changes that land mid-run trigger one more run once it finishes.
+async function watchDataset() {
+  let running = false;
+  let queued = false;
+  const run = async () => {
+    if (running) { queued = true; return; }
+    running = true;
+    try { await writeDataset(); }
+    catch (err) { console.error("✖ Failed:", err.message || err); }
+    running = false;
+    if (queued) { queued = false; run(); }
+  };
+
+  let timer = null;
+  const schedule = () => { clearTimeout(timer); timer = setTimeout(run, WATCH_DELAY_MS); };
+  watch(IMAGES_ROOT, { recursive: true }, schedule);
+  // Editors replace files rather than rewrite them, so watch the tables' folder.
+  const tables = new Set([path.basename(COUNTRIES_FILE), path.basename(TAXONOMY_FILE)]);
+  watch(path.dirname(COUNTRIES_FILE), (event, file) => { if (tables.has(file)) schedule(); });
+
+  await run();
+  console.log(`… Watching ${path.relative(process.cwd(), IMAGES_ROOT)} for changes`);
+}
+
+/* ---------------------------- --check ---------------------------- */
+
+const NAMES_FILE = path.join(IMAGES_ROOT, "imageNamesConv.txt"); // spellings new files should use
+const MIN_UNIQUE_TYPES = 3;               // pickQuestion needs this many distinct types per country
+const STALE_COPIES = ["data.json", path.join("src", "public", "data", "data.json")];
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// PNGs re-saved with different metadata or compression still inflate to the same pixel stream.
+function pixelHash(buf) {
+  if (buf.readUInt32BE(0) !== 0x89504e47) return null;
+  const idat = [];
+  for (let off = 8; off + 8 <= buf.length;) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString("latin1", off + 4, off + 8);
+    if (type === "IDAT") idat.push(buf.subarray(off + 8, off + 8 + len));
+    if (type === "IEND") break;
+    off += 12 + len;
+  }
+  try {
+    return crypto.createHash("sha1").update(zlib.inflateSync(Buffer.concat(idat))).digest("hex");
+  } catch {
+    return null;
+  }
+}
+
+async function checkDataset() {
+  const errors = [];
+  const warnings = [];
+  const rel = (abs) => path.relative(__dirname, abs);
+  const sharp = await loadSharp();
+  const { dataset, files, unmatched, unknownStems, sidecarProblems, mergedCodes, knownStems } =
+    await buildDataset(sharp ? await openImageCache(sharp, false) : null);
+
+  for (const name of unmatched) errors.push(`Folder "${name}" maps to no map polygon (add an alias in ${rel(COUNTRIES_FILE)})`);
+  for (const name of mergedCodes) errors.push(`Several image folders resolve to ${name}`);
+  errors.push(...sidecarProblems);
+
+  // 1. Filename stems the taxonomy doesn't know
+  for (const { country, stem } of unknownStems) {
+    const lower = stem.toLowerCase();
+    const close = knownStems.find(known => editDistance(known, lower) <= (lower.length > 4 ? 2 : 1));
+    errors.push(close
+      ? `${country}: clue stem "${stem}" looks like a misspelling of "${close}"`
+      : `${country}: clue stem "${stem}" is not in ${rel(TAXONOMY_FILE)}`);
+  }
+
+  // 1b. Stems the taxonomy accepts but spelled outside the naming convention (Sign, croosswalk)
+  const known = (await fs.readFile(NAMES_FILE, "utf8")).split(/\r?\n/).map(t => t.trim()).filter(Boolean);
+  const knownByLower = new Map(known.map(t => [t.toLowerCase(), t]));
+  const spelled = new Set();
+  for (const { country, stem } of files) {
+    const key = `${country}\0${stem}`;
+    if (known.includes(stem) || spelled.has(key) || unknownStems.some(u => u.country === country && u.stem === stem)) continue;
+    spelled.add(key);
+    const exact = knownByLower.get(stem.toLowerCase());
+    const close = known.find(t => editDistance(t.toLowerCase(), stem.toLowerCase()) <= (stem.length > 4 ? 2 : 1));
+    if (exact) errors.push(`${country}: clue stem "${stem}" should be spelled "${exact}"`);
+    else if (close) errors.push(`${country}: clue stem "${stem}" looks like a misspelling of "${close}"`);
+    else warnings.push(`${country}: clue stem "${stem}" is not listed in ${rel(NAMES_FILE)}`);
+  }
+
+  // 2. Countries that can never produce a full question, or that no region filter reaches
+  for (const entry of dataset) {
+    if (!entry.region) warnings.push(`${entry.country}: no region for ${entry.code} in ${rel(COUNTRIES_FILE)}`);
+    const unique = new Set(entry.items.map(it => it.type.toLowerCase())).size;
+    if (unique < MIN_UNIQUE_TYPES) {
+      errors.push(`${entry.country}: only ${unique} distinct clue type(s); needs ${MIN_UNIQUE_TYPES} to appear without a type filter`);
+    }
+  }
+
+  // 3. Duplicate images, byte-identical or same pixels
+  const byHash = new Map();
+  for (const file of files) {
+    const buf = await fs.readFile(file.abs);
+    const keys = [`file:${crypto.createHash("sha1").update(buf).digest("hex")}`];
+    const pixels = pixelHash(buf);
+    if (pixels) keys.push(`pixels:${pixels}`);
+    for (const key of keys) {
+      if (!byHash.has(key)) byHash.set(key, []);
+      byHash.get(key).push(file);
+    }
+  }
+  const reported = new Set();
+  for (const [key, group] of byHash) {
+    if (group.length < 2) continue;
+    const names = group.map(f => rel(f.abs));
+    const id = names.join("|");
+    if (reported.has(id)) continue;
+    reported.add(id);
+    const kind = key.startsWith("file:") ? "Duplicate images" : "Near-duplicate images (same pixels)";
+    errors.push(`${kind}: ${names.join(", ")}`);
+  }
+
+  // 4. Out-of-date or stale copies of the dataset
+  const expected = serialize(dataset);
+  const current = await fs.readFile(OUT_FILE, "utf8").catch(() => null);
+  if (current !== expected) errors.push(`${rel(OUT_FILE)} is out of date; run node generate-data.mjs`);
+  const simpleWorld = await fs.readFile(SIMPLE_WORLD_FILE, "utf8").catch(() => null);
+  if (simpleWorld !== await buildSimpleWorld()) errors.push(`${rel(SIMPLE_WORLD_FILE)} is out of date; run node generate-data.mjs`);
+  for (const copy of STALE_COPIES) {
+    const stale = await fs.readFile(path.join(__dirname, copy), "utf8").catch(() => null);
+    if (stale !== null && stale !== current) errors.push(`${copy} differs from ${rel(OUT_FILE)}; delete it or regenerate`);
+  }
+
+  for (const w of warnings) console.log(`⚠ ${w}`);
+  for (const e of errors) console.log(`✖ ${e}`);
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s) in ${files.length} images`);
+  if (errors.length) process.exitCode = 1;
 }
 
-main().catch(err => { console.error("✖ Failed:", err); process.exit(1); });
+const main = process.argv.includes("--check") ? checkDataset
+  : process.argv.includes("--watch") ? watchDataset
+  : writeDataset;
+
+main().catch(err => { console.error("✖ Failed:", err.message || err); process.exit(1); });
@@ -2,12 +2,35 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import { assetUrl } from "./utils";
+import { getRegions } from "./regions";
+import { clueCategory, clueTypeLabel, compareCategories } from "./taxonomy";
+import { buildCentroidIndex, distanceScore, featureAt, formatKm, haversineKm } from "./geo";
+import { LINEUP_KIND, PINPOINT_KIND, drawQuestion, hasPinpointPhotos, hasTypeFilter } from "./questions";
+import { pickChoices } from "./choices";
+import { SUBDIVISION_ZOOM, loadSubdivisions, sameSubdivision, subdivisionName } from "./subdivisions";
+import { CANDIDATE_COUNT, HINT_TIERS, describeHints, hintOffer } from "./hints";
+import { subscribeToUpdates } from "./serviceWorkerRegistration";
+import { createRandom, randomSeed } from "./random";
+import { challengeUrl, decodeChallenge, encodeChallenge } from "./challengeLink";
+import { DAILY_ROUNDS, calendarDays, dailyKey, dailySeed, dailyShareText, dailyStreak, loadDailyLog, recordDaily, saveDailyLog } from "./daily";
+import { DEFAULT_ROUNDS, ROUND_OPTIONS, TIMER_OPTIONS, formatCountdown, gameTotal, roundMaxScore, roundScore } from "./game";
+import { MAX_RECORDS, createAnswerRecord, loadHistory, saveHistory, summarizeHistory } from "./history";
+import { cardKey, cardWeight, countDue, loadSchedule, recallQuality, reviewAnswer, saveSchedule } from "./spacedRepetition";
+import { countryMastery, masteryBand } from "./mastery";
 
 import DeskSurface from "./components/DeskSurface";
 import Corkboard from "./components/Corkboard";
 import ParchmentMap from "./components/ParchmentMap";
 import FilterDials from "./components/FilterDials";
 import HelpBadge from "./components/HelpBadge";
+import StatsEnvelope from "./components/StatsEnvelope";
+import ChoiceButtons from "./components/ChoiceButtons";
+import GameDial from "./components/GameDial";
+import GameSummary from "./components/GameSummary";
+import OfflineDial from "./components/OfflineDial";
+import PhotoPrefetch from "./components/PhotoPrefetch";
+import CountryLedger from "./components/CountryLedger";
+import CountryBrowser from "./components/CountryBrowser";
 
 /**
  * Geoguessr Trainer -- Map Click Version (GeoJSON)
@@ -22,10 +45,33 @@ import HelpBadge from "./components/HelpBadge";
  *   public/data/world.json    // GeoJSON FeatureCollection of countries
  */
 const DATA_PATH = assetUrl("data/data.json");
-const GEOJSON_PATH = assetUrl("data/world.json");
+const GEOJSON_PATH = assetUrl("data/world.simple.json");
+const DETAIL_GEOJSON_PATH = assetUrl("data/world.json");
 const COUNTRY_PROP = "name";
+// Countries are matched by ISO code: world.json keeps it in feature.id, data.json in entry.code.
+const featureCode = (feature) => feature?.id || null;
 const ALL_REGIONS = "All regions";
 const ALL_CLUE_TYPES = "All clue types";
+const EMPTY_TYPE_FILTER = { include: [], exclude: [] };
+const RANDOM_MODE = "Random draw";
+const REVIEW_MODE = "Review due";
+const STUDY_MODES = [RANDOM_MODE, REVIEW_MODE];
+const BINARY_SCORING = "Right or wrong";
+const DISTANCE_SCORING = "Distance points";
+const SCORING_MODES = [BINARY_SCORING, DISTANCE_SCORING];
+const CLUE_QUIZ = "Clue → country";
+const CHOICE_QUIZ = "Clue → four choices";
+const LINEUP_QUIZ = "Country → clue";
+const PINPOINT_QUIZ = "Clue → exact spot";
+const QUIZ_MODES = [CLUE_QUIZ, CHOICE_QUIZ, LINEUP_QUIZ, PINPOINT_QUIZ];
+// Short names for challenge links.
+const QUIZ_IDS = { [CLUE_QUIZ]: "map", [CHOICE_QUIZ]: "choice", [LINEUP_QUIZ]: "lineup", [PINPOINT_QUIZ]: "pin" };
+const SCORING_IDS = { [BINARY_SCORING]: "binary", [DISTANCE_SCORING]: "distance" };
+const labelForId = (ids, id, fallback) => Object.keys(ids).find((label) => ids[label] === id) || fallback;
+// Stands in for a guessed country code when a timed round runs out.
+const TIMED_OUT = "timed-out";
+// Selected code for a pin dropped outside every country.
+const AT_SEA = "at-sea";
 const COMPACT_VIEWPORT_QUERY = "(max-width: 768px)";
 const isCompactViewport = () =>
   typeof window !== "undefined" &&
@@ -42,124 +88,67 @@ const CORRECT_FILL = "#2D5A3E";   // wax-green
 const CORRECT_STROKE = "#1E4030";
 const WRONG_FILL = "#8B2E1E";     // wax-red
 const WRONG_STROKE = "#6B1E12";
+const BASE_STYLE = {
+  weight: 1.2,
+  color: BASE_STROKE,
+  fillColor: BASE_FILL,
+  fillOpacity: BASE_FILL_OPACITY,
+  opacity: 0.8,
+  dashArray: null,
+};
+const HOVER_STYLE = { weight: 2.5, color: HOVER_STROKE, fillOpacity: HOVER_FILL_OPACITY };
+const UNCHARTED_FILL = "#8A8275"; // greyed out: no cards in data.json
+// Study map fills per mastery band (see mastery.js). Shared objects, so an unchanged band isn't restyled.
+const MASTERY_FILLS = {
+  uncharted: { fillColor: UNCHARTED_FILL, fillOpacity: 0.35, opacity: 0.4, weight: 0.8 },
+  untested: { fillColor: BASE_FILL, fillOpacity: 0.9 },
+  weak: { fillColor: WRONG_FILL, fillOpacity: 0.6 },
+  shaky: { fillColor: HOVER_STROKE, fillOpacity: 0.6 },
+  strong: { fillColor: CORRECT_FILL, fillOpacity: 0.6 },
+  due: { fillColor: WRONG_FILL, fillOpacity: 0.6 },
+  new: { fillColor: HOVER_STROKE, fillOpacity: 0.6 },
+  resting: { fillColor: CORRECT_FILL, fillOpacity: 0.6 },
+};
+const MASTERY_STYLES = Object.fromEntries(
+  Object.entries(MASTERY_FILLS).map(([band, fill]) => [band, { ...BASE_STYLE, ...fill }])
+);
+const MASTERY_SWATCHES = Object.fromEntries(
+  Object.entries(MASTERY_FILLS).map(([band, fill]) => [band, fill.fillColor])
+);
+// Zoomed in this far, country outlines switch from world.simple.json to the full world.json.
+const DETAIL_ZOOM = 4;
+// Map instance -> the GeoJSON its country layers currently draw, once swapped from the initial one.
+const shownGeometry = new WeakMap();
 
-function shuffleArray(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function validItems(items) {
-  return (items || []).filter((it) => Array.isArray(it.images) && it.images.length > 0);
+// Mirrors the running game into the address bar, so the link can be copied straight from there.
+function setChallengeHash(challenge) {
+  if (typeof window === "undefined" || typeof window.history?.replaceState !== "function") return;
+  const { pathname, search } = window.location;
+  const hash = challenge ? `#${encodeChallenge(challenge)}` : "";
+  window.history.replaceState(null, "", `${pathname}${search}${hash}`);
 }
 
-function getUniqueTypeItems(items) {
-  const seen = new Set();
-  const unique = [];
-  items.forEach((item) => {
-    const key = typeof item.type === "string" ? item.type.toLowerCase() : "";
-    if (!key || seen.has(key)) {
-      return;
-    }
-    seen.add(key);
-    unique.push(item);
-  });
-  return unique;
+function describeTypeFilter(filter, labelOf) {
+  if (!hasTypeFilter(filter)) return ALL_CLUE_TYPES;
+  const include = filter.include.map(labelOf).join(", ");
+  const exclude = filter.exclude.map(labelOf).join(", ");
+  if (!include) return `All but ${exclude}`;
+  return exclude ? `${include}; not ${exclude}` : include;
 }
 
-function getImagesForType(items, itemType) {
-  const target = itemType ? itemType.toLowerCase() : null;
-  const images = [];
-  items.forEach((item) => {
-    if (typeof item.type !== "string") {
-      return;
-    }
-    const itemKey = item.type.toLowerCase();
-    if (!target || itemKey === target) {
-      item.images.forEach((url) => {
-        images.push({ url, type: item.type });
-      });
-    }
-  });
-  return images;
-}
-
-function buildQuestion(entry, options = {}) {
-  const clueCount = options.clueCount ?? 3;
-  const usableItems = validItems(entry.items);
-  if (usableItems.length === 0) {
-    return null;
-  }
-
-  if (options.itemType) {
-    const imagesPool = getImagesForType(usableItems, options.itemType);
-    if (imagesPool.length < clueCount) {
-      return null;
-    }
-    return {
-      correctCountry: entry.country,
-      images: shuffleArray(imagesPool).slice(0, clueCount),
-    };
-  }
-
-  const uniqueItems = getUniqueTypeItems(usableItems);
-  if (uniqueItems.length < clueCount) {
-    return null;
-  }
-
-  const chosenItems = shuffleArray(uniqueItems).slice(0, clueCount);
-  const images = chosenItems.map((item) => {
-    const img = item.images[Math.floor(Math.random() * item.images.length)];
-    return { url: img, type: item.type };
-  });
-
-  return {
-    correctCountry: entry.country,
-    images,
-  };
-}
-
-function pickQuestion(dataset, options = {}) {
-  const clueCount = options.clueCount ?? 3;
-  const candidates = (dataset || []).filter((entry) => {
-    if (options.region && entry.region !== options.region) {
-      return false;
-    }
-    const usableItems = validItems(entry.items);
-    if (usableItems.length === 0) {
-      return false;
-    }
-
-    if (options.itemType) {
-      const imagesPool = getImagesForType(usableItems, options.itemType);
-      return imagesPool.length >= clueCount;
-    }
-
-    const uniqueItems = getUniqueTypeItems(usableItems);
-    return uniqueItems.length >= clueCount;
-  });
-
-  if (candidates.length === 0) {
-    return null;
-  }
-
-  const correct = candidates[Math.floor(Math.random() * candidates.length)];
-  return buildQuestion(correct, options);
-}
-
-function getRegions(dataset) {
-  const regions = new Set();
-  (dataset || []).forEach((entry) => {
-    if (entry.region) {
-      regions.add(entry.region);
-    }
+// Hand-edited datasets may lack codes; recover them from world.json names.
+function withCountryCodes(dataset, worldGeo) {
+  const codeByName = new Map();
+  (worldGeo?.features || []).forEach((feature) => {
+    const name = feature?.properties?.[COUNTRY_PROP];
+    if (name && featureCode(feature)) codeByName.set(name, featureCode(feature));
   });
-  return Array.from(regions).sort((a, b) => a.localeCompare(b));
+  return (dataset || []).map((entry) =>
+    entry.code ? entry : { ...entry, code: codeByName.get(entry.country) || null }
+  );
 }
 
+// Clue types present in the dataset as { key, label, category }, ordered by taxonomy category.
 function getItemTypes(dataset) {
   const typeMap = new Map();
   (dataset || []).forEach((entry) => {
@@ -167,11 +156,17 @@ function getItemTypes(dataset) {
       if (!item || !item.type) return;
       const key = item.type.toLowerCase();
       if (!typeMap.has(key)) {
-        typeMap.set(key, item.type);
+        typeMap.set(key, {
+          key,
+          label: clueTypeLabel(item.type),
+          category: item.category || clueCategory(item.type),
+        });
       }
     });
   });
-  return Array.from(typeMap.values()).sort((a, b) => a.localeCompare(b));
+  return Array.from(typeMap.values()).sort(
+    (a, b) => compareCategories(a.category, b.category) || a.label.localeCompare(b.label)
+  );
 }
 
 export default function GeoguessrFlashcards() {
@@ -180,45 +175,116 @@ export default function GeoguessrFlashcards() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // A challenge link presets the filters, then starts its game once the data is in.
+  const initialChallenge = useMemo(
+    () => (typeof window === "undefined" ? null : decodeChallenge(window.location.hash)),
+    []
+  );
+  const pendingChallengeRef = useRef(initialChallenge);
+
   const [question, setQuestion] = useState(null);
   const [selected, setSelected] = useState(null);
   const [isCorrect, setIsCorrect] = useState(null);
   const [score, setScore] = useState(0);
   const [answered, setAnswered] = useState(0);
   const [visibleClues, setVisibleClues] = useState(1);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [hintCandidates, setHintCandidates] = useState(null);
   const [streak, setStreak] = useState(0);
+  const [points, setPoints] = useState(0);
+  const [scoringMode, setScoringMode] = useState(() => labelForId(SCORING_IDS, initialChallenge?.scoring, BINARY_SCORING));
+  const [lastResult, setLastResult] = useState(null);
   const [hoveredCountry, setHoveredCountry] = useState("");
   const [availableRegions, setAvailableRegions] = useState([]);
   const [availableItemTypes, setAvailableItemTypes] = useState([]);
-  const [activeRegion, setActiveRegion] = useState(null);
-  const [activeItemType, setActiveItemType] = useState(null);
+  const [availableQuizModes, setAvailableQuizModes] = useState(QUIZ_MODES);
+  const [activeRegions, setActiveRegions] = useState(() => initialChallenge?.regions || []);
+  const [typeFilter, setTypeFilter] = useState(() => initialChallenge?.typeFilter || EMPTY_TYPE_FILTER);
   const [filterError, setFilterError] = useState(false);
+  const [studyMode, setStudyMode] = useState(RANDOM_MODE);
+  const [quizMode, setQuizMode] = useState(() => labelForId(QUIZ_IDS, initialChallenge?.quiz, CLUE_QUIZ));
+  const [schedule, setSchedule] = useState(loadSchedule);
+  const [history, setHistory] = useState(loadHistory);
+  const [drillCountries, setDrillCountries] = useState(() => initialChallenge?.countries || null);
   const initialCompact = useMemo(() => isCompactViewport(), []);
   const [isCompactLayout, setIsCompactLayout] = useState(initialCompact);
   const [isMapOpen, setIsMapOpen] = useState(!initialCompact);
   const [sealLatLng, setSealLatLng] = useState(null);
   const [blotLatLng, setBlotLatLng] = useState(null);
+  const [game, setGame] = useState(null);
+  const [dailyLog, setDailyLog] = useState(loadDailyLog);
+  const [updateNotice, setUpdateNotice] = useState(null);
+  const [roundDeadline, setRoundDeadline] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
+  const [upcoming, setUpcoming] = useState(null);
+  // Second stage of a guess: the right country, waiting on its subdivision.
+  const [countryPick, setCountryPick] = useState(null);
+  const [pin, setPin] = useState(null);
+  const [zoomedCode, setZoomedCode] = useState(null);
+  const [subdivisionGeo, setSubdivisionGeo] = useState(null);
+  // Study map: null while quizzing, else the mastery view the countries are coloured by.
+  const [studyView, setStudyView] = useState(null);
+  const [studiedCountry, setStudiedCountry] = useState(null);
+  // Browse mode: null while quizzing, else the country names the gallery opened on.
+  const [browsing, setBrowsing] = useState(null);
 
   const mapRef = useRef(null);
   const mapWrapperRef = useRef(null);
   const worldBoundsRef = useRef(null);
   const geoJsonLayersRef = useRef({});
+  // Read through a ref so grading an answer doesn't re-roll the current question.
+  const scheduleRef = useRef(schedule);
+  scheduleRef.current = schedule;
+  // Question options for the running game, including its seeded random source.
+  const gameOptionsRef = useRef(null);
+  // The options the question on the board was drawn with, so the next one can be drawn early.
+  const drawOptionsRef = useRef(null);
+  const upcomingRef = useRef(upcoming);
+  upcomingRef.current = upcoming;
 
   const questionOptions = useMemo(
     () => ({
-      region: activeRegion || undefined,
-      itemType: activeItemType || undefined,
+      regions: activeRegions.length ? activeRegions : undefined,
+      typeFilter: hasTypeFilter(typeFilter) ? typeFilter : undefined,
+      countries: drillCountries || undefined,
+      lineup: quizMode === LINEUP_QUIZ,
+      pinpoint: quizMode === PINPOINT_QUIZ,
+      choices: quizMode === CHOICE_QUIZ,
+      cardWeight:
+        studyMode === REVIEW_MODE
+          ? (country, type) => cardWeight(scheduleRef.current[cardKey(country, type)])
+          : undefined,
     }),
-    [activeRegion, activeItemType]
+    [activeRegions, typeFilter, drillCountries, studyMode, quizMode]
   );
 
-  const regionOptions = useMemo(() => [ALL_REGIONS, ...availableRegions], [availableRegions]);
-  const itemTypeOptions = useMemo(() => [ALL_CLUE_TYPES, ...availableItemTypes], [availableItemTypes]);
+  const dueCount = useMemo(() => countDue(schedule, data), [schedule, data]);
+  const historySummary = useMemo(() => summarizeHistory(history), [history]);
+  const mastery = useMemo(
+    () => (studyView ? countryMastery(data, { byCountry: historySummary.byCountry, schedule }) : null),
+    [studyView, data, historySummary, schedule]
+  );
+  // Same trick as scheduleRef: the answer just logged shouldn't reshuffle the choices on screen.
+  const confusionsRef = useRef(historySummary.confusions);
+  confusionsRef.current = historySummary.confusions;
+  const centroids = useMemo(() => buildCentroidIndex(worldGeo, featureCode), [worldGeo]);
+  const subdivisionLayers = useMemo(
+    () => new Map((data || []).filter((entry) => entry.subdivisions).map((entry) => [entry.code, entry.subdivisions])),
+    [data]
+  );
+  const isDistanceScoring = scoringMode === DISTANCE_SCORING;
+
 
   const rerollQuestion = useCallback(
-    ({ resetStats = false } = {}) => {
+    ({ resetStats = false, options = questionOptions } = {}) => {
       if (!data) return;
-      const next = pickQuestion(data, questionOptions);
+      // A question drawn early for the same data and options is the one a fresh draw would give.
+      const early = upcomingRef.current;
+      const next = early && early.data === data && early.options === options
+        ? early.question
+        : drawQuestion(data, { confusions: confusionsRef.current, ...options });
+      drawOptionsRef.current = options;
+      setUpcoming(null);
       if (!next) {
         setError(null);
         setQuestion(null);
@@ -226,12 +292,18 @@ export default function GeoguessrFlashcards() {
         setSelected(null);
         setIsCorrect(null);
         setVisibleClues(0);
+        setHintsUsed(0);
+        setHintCandidates(null);
+        setCountryPick(null);
+        setPin(null);
         setSealLatLng(null);
         setBlotLatLng(null);
+        setLastResult(null);
         if (resetStats) {
           setScore(0);
           setAnswered(0);
           setStreak(0);
+          setPoints(0);
         }
         return;
       }
@@ -241,22 +313,28 @@ export default function GeoguessrFlashcards() {
       setQuestion(next);
       setSelected(null);
       setIsCorrect(null);
-      setVisibleClues(1);
+      // A lineup is only a lineup with every photo on the board.
+      setVisibleClues(next.kind === LINEUP_KIND ? next.images.length : 1);
+      setHintsUsed(0);
+      setHintCandidates(null);
+      setCountryPick(null);
+      setPin(null);
       setSealLatLng(null);
       setBlotLatLng(null);
+      setLastResult(null);
       if (resetStats) {
         setScore(0);
         setAnswered(0);
         setStreak(0);
+        setPoints(0);
       }
     },
     [data, questionOptions]
   );
 
-  const nextQuestion = rerollQuestion;
-
-  const getCountryCenter = useCallback((countryName) => {
-    const layer = geoJsonLayersRef.current[countryName];
+  const getCountryCenter = useCallback((code) => {
+    if (centroids.has(code)) return centroids.get(code);
+    const layer = geoJsonLayersRef.current[code];
     if (!layer) return null;
     try {
       const center = layer.getBounds().getCenter();
@@ -264,27 +342,7 @@ export default function GeoguessrFlashcards() {
     } catch {
       return null;
     }
-  }, []);
-
-  // Keyboard shortcuts keep navigation quick.
-  useEffect(() => {
-    const onKey = (e) => {
-      if (e.repeat) return;
-      const key = e.key.toLowerCase();
-      if (key === "enter") {
-        nextQuestion();
-      } else if (key === "h") {
-        if (!question) return;
-        setVisibleClues((n) => Math.min(question.images.length, n + 1));
-      } else if (key === "r") {
-        if (worldBoundsRef.current && mapRef.current) {
-          mapRef.current.fitBounds(worldBoundsRef.current, { padding: [20, 20] });
-        }
-      }
-    };
-    window.addEventListener("keydown", onKey);
-    return () => window.removeEventListener("keydown", onKey);
-  }, [nextQuestion, question]);
+  }, [centroids]);
 
   // Load dataset + world geojson on mount.
   useEffect(() => {
@@ -297,15 +355,21 @@ export default function GeoguessrFlashcards() {
           fetch(GEOJSON_PATH, { cache: "no-store" }),
         ]);
         if (!dataRes.ok) throw new Error(`Failed data.json: ${dataRes.status}`);
-        if (!geoRes.ok) throw new Error(`Failed world.json: ${geoRes.status}`);
+        if (!geoRes.ok) throw new Error(`Failed world.simple.json: ${geoRes.status}`);
 
-        const [dataJson, geoJson] = await Promise.all([dataRes.json(), geoRes.json()]);
+        const [rawData, geoJson] = await Promise.all([dataRes.json(), geoRes.json()]);
         if (!alive) return;
+        const dataJson = withCountryCodes(rawData, geoJson);
 
         setData(dataJson);
         setWorldGeo(geoJson);
         setAvailableRegions(getRegions(dataJson));
         setAvailableItemTypes(getItemTypes(dataJson));
+        // Pinpoint needs photos whose sidecars record lat/lng; without any the mode is left out.
+        if (!hasPinpointPhotos(dataJson)) {
+          setAvailableQuizModes(QUIZ_MODES.filter((mode) => mode !== PINPOINT_QUIZ));
+          setQuizMode((mode) => (mode === PINPOINT_QUIZ ? CLUE_QUIZ : mode));
+        }
         setFilterError(false);
       } catch (e) {
         setError(e.message || String(e));
@@ -318,14 +382,53 @@ export default function GeoguessrFlashcards() {
     };
   }, []);
 
+  // New filters mean a new sitting; a game in progress is abandoned.
   useEffect(() => {
     if (!data) return;
+    setGame(null);
+    setRoundDeadline(null);
+    if (!pendingChallengeRef.current) setChallengeHash(null);
     rerollQuestion({ resetStats: true });
   }, [data, rerollQuestion]);
 
+  useEffect(() => {
+    saveSchedule(schedule);
+  }, [schedule]);
+
+  // Once an answer is in, draw the next question so its photos load while the result is read.
+  // Runs after the grade is committed, so review weights and confusions already include it.
+  useEffect(() => {
+    if (!data || !selected || upcomingRef.current) return;
+    const options = drawOptionsRef.current;
+    if (!options) return;
+    const question = drawQuestion(data, { confusions: confusionsRef.current, ...options });
+    if (question) setUpcoming({ data, options, question });
+  }, [data, selected]);
+
+  // A new app version outranks a dataset refresh: reloading into it picks up both.
+  useEffect(
+    () => subscribeToUpdates((event) => setUpdateNotice((current) => (current?.kind === "app" ? current : event))),
+    []
+  );
+
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  // Starting the daily uses up the day's attempt; the entry fills in as rounds are played.
+  useEffect(() => {
+    if (!game?.daily) return;
+    setDailyLog((log) => recordDaily(log, game.daily, game.results));
+  }, [game]);
+
+  useEffect(() => {
+    saveDailyLog(dailyLog);
+  }, [dailyLog]);
+
   const clearFilters = useCallback(() => {
-    setActiveRegion(null);
-    setActiveItemType(null);
+    setActiveRegions([]);
+    setTypeFilter(EMPTY_TYPE_FILTER);
+    setDrillCountries(null);
   }, []);
 
   useEffect(() => {
@@ -383,10 +486,114 @@ export default function GeoguessrFlashcards() {
     }
   }, [worldGeo, isCompactLayout, isMapOpen]);
 
-  const handleCountryClick = (countryName) => {
+  // Outlines start coarse; zoomed in, each country's rings are swapped for world.json's in place,
+  // so the layers (and their styles and handlers) survive the change of detail.
+  const detailGeoRef = useRef(null);
+  const detailWorldRef = useRef(null);
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !worldGeo) return undefined;
+    let alive = true;
+    const show = (geo) => {
+      if (!alive || shownGeometry.get(map) === geo) return;
+      geo.features.forEach((feature) => {
+        const layer = geoJsonLayersRef.current[featureCode(feature)];
+        const { type, coordinates } = feature.geometry || {};
+        if (!layer || !coordinates) return;
+        layer.setLatLngs(L.GeoJSON.coordsToLatLngs(coordinates, type === "Polygon" ? 1 : 2));
+      });
+      shownGeometry.set(map, geo);
+    };
+    const onZoom = () => {
+      if (map.getZoom() < DETAIL_ZOOM) {
+        if (shownGeometry.has(map)) show(worldGeo);
+        return;
+      }
+      if (!detailGeoRef.current) {
+        detailGeoRef.current = fetch(DETAIL_GEOJSON_PATH)
+          .then((res) => {
+            if (!res.ok) throw new Error(`Failed world.json: ${res.status}`);
+            return res.json();
+          })
+          .then((geo) => {
+            detailWorldRef.current = geo;
+            return geo;
+          })
+          .catch((e) => {
+            detailGeoRef.current = null;
+            throw e;
+          });
+      }
+      detailGeoRef.current.then(show).catch((e) => console.warn(e.message || e));
+    };
+    map.on("zoomend", onZoom);
+    return () => {
+      alive = false;
+      map.off("zoomend", onZoom);
+    };
+  }, [worldGeo, isCompactLayout, isMapOpen]);
+
+  // Zooming in on a country with an admin-1 layer outlines its subdivisions.
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !subdivisionLayers.size) return undefined;
+    const onMove = () => {
+      if (map.getZoom() < SUBDIVISION_ZOOM) {
+        setZoomedCode(null);
+        return;
+      }
+      const center = map.getCenter();
+      const code = Array.from(subdivisionLayers.keys()).find((c) => geoJsonLayersRef.current[c]?.getBounds().contains(center));
+      setZoomedCode(code || null);
+    };
+    map.on("moveend", onMove);
+    return () => map.off("moveend", onMove);
+  }, [worldGeo, isCompactLayout, isMapOpen, subdivisionLayers]);
+
+  // The layer on screen: the country being narrowed down, then its result, else wherever the map is zoomed.
+  const subdivisionPath = countryPick || lastResult?.subdivision
+    ? question?.subdivisionLayer
+    : subdivisionLayers.get(zoomedCode) || null;
+  useEffect(() => {
+    if (!subdivisionPath) {
+      setSubdivisionGeo(null);
+      return undefined;
+    }
+    let alive = true;
+    loadSubdivisions(subdivisionPath)
+      .then((geo) => alive && setSubdivisionGeo({ path: subdivisionPath, geo }))
+      .catch((e) => {
+        console.warn(e.message || e);
+        if (alive) setSubdivisionGeo({ path: subdivisionPath, geo: null });
+      });
+    return () => {
+      alive = false;
+    };
+  }, [subdivisionPath]);
+
+  useEffect(() => {
+    const layer = countryPick && geoJsonLayersRef.current[countryPick.code];
+    if (!layer || !mapRef.current) return;
+    try {
+      mapRef.current.fitBounds(layer.getBounds(), { padding: [20, 20] });
+    } catch (e) {
+      console.warn("fitBounds failed:", e);
+    }
+  }, [countryPick]);
+
+  const isLineup = question?.kind === LINEUP_KIND;
+  const isPinpoint = question?.kind === PINPOINT_KIND;
+
+  const isGameRunning = Boolean(game && !game.finished);
+
+  // `subdivision` is left undefined when the round had no subdivision stage, and null when it was skipped.
+  // `pinAt` is the [lat, lng] of a pinpoint guess, scored by its distance from where the photo was taken.
+  const submitGuess = (countryCode, countryName, { subdivision, pinAt = null } = {}) => {
     if (selected || !question) return;
-    setSelected(countryName);
-    const correct = countryName === question.correctCountry;
+    setSelected(countryCode);
+    setCountryPick(null);
+    const timedOut = countryCode === TIMED_OUT;
+    const correct = countryCode === question.correctCode;
     setIsCorrect(correct);
     setAnswered((n) => n + 1);
     if (correct) {
@@ -395,99 +602,428 @@ export default function GeoguessrFlashcards() {
     } else {
       setStreak(0);
     }
-    setSealLatLng(getCountryCenter(question.correctCountry));
-    if (!correct) setBlotLatLng(getCountryCenter(countryName));
+    const cluesUsed = isLineup ? 1 : Math.min(visibleClues, question.images.length);
+    const shownTypes = isLineup ? [question.clueType] : question.images.slice(0, cluesUsed).map((img) => img.type);
+    setSchedule((s) =>
+      reviewAnswer(s, question.correctCountry, shownTypes, recallQuality(correct, cluesUsed, hintsUsed))
+    );
+    const correctCenter = isPinpoint ? question.location : getCountryCenter(question.correctCode);
+    const guessCenter = pinAt || (correct ? correctCenter : timedOut ? null : getCountryCenter(countryCode));
+    const distanceKm = correct && !pinAt ? 0 : correctCenter && guessCenter ? haversineKm(correctCenter, guessCenter) : null;
+    const roundPoints = distanceKm == null ? 0 : distanceScore(distanceKm);
+    const useDistance = isPinpoint || (isGameRunning ? game.distanceScoring : isDistanceScoring);
+    const subdivisionCorrect = correct && subdivision !== undefined ? sameSubdivision(subdivision, question.subdivision) : null;
+    const earned = roundScore({ correct, points: useDistance ? roundPoints : null, cluesUsed, hintsUsed, subdivisionCorrect });
+    setPoints((p) => p + earned);
+    const record = createAnswerRecord(question, timedOut ? null : countryName, {
+      guessCode: timedOut || countryCode === AT_SEA ? null : countryCode,
+      correct,
+      cluesRevealed: cluesUsed,
+      hintsUsed,
+      distanceKm,
+      points: roundPoints,
+      score: earned,
+      subdivisionGuess: subdivision ?? null,
+      subdivisionCorrect,
+    });
+    // The history only logs actual guesses; a timeout still counts as a miss for scheduling.
+    if (!timedOut) setHistory((h) => [...h, record].slice(-MAX_RECORDS));
+    if (isGameRunning) {
+      setGame((g) => ({ ...g, results: [...g.results, record] }));
+      setRoundDeadline(null);
+    }
+    setLastResult({
+      distanceKm,
+      timedOut,
+      useDistance,
+      score: earned,
+      max: roundMaxScore(cluesUsed, hintsUsed),
+      subdivision: subdivisionCorrect == null ? null : { guess: subdivision, correct: subdivisionCorrect },
+    });
+    setSealLatLng(correctCenter);
+    if (!correct || pinAt) setBlotLatLng(guessCenter);
+  };
+
+  const confirmPin = () => {
+    if (!pin || selected || !question) return;
+    // Borders are only exact in world.json; the coarse outlines stand in until it has loaded.
+    const feature = featureAt(detailWorldRef.current || worldGeo, pin);
+    submitGuess(feature ? featureCode(feature) : AT_SEA, feature?.properties?.[COUNTRY_PROP] || null, { pinAt: pin });
+    // Frame the pin and the true spot together.
+    if (mapRef.current) mapRef.current.fitBounds(L.latLngBounds([pin, question.location]).pad(0.3), { maxZoom: 8 });
+  };
+
+  const handleCountryClick = (countryCode, countryName) => {
+    // On the study map a click opens the country's ledger; the round waits.
+    if (studyView) {
+      setStudiedCountry({ code: countryCode, name: countryName });
+      return;
+    }
+    // Pinpoint rounds take the click as a pin drop instead (see PinMarker).
+    if (isLineup || isPinpoint || countryPick) return;
+    // The right country opens the subdivision stage instead of ending the round.
+    if (question?.subdivision && !selected && countryCode === question.correctCode) {
+      setCountryPick({ code: countryCode, name: countryName });
+      setIsMapOpen(true);
+      return;
+    }
+    submitGuess(countryCode, countryName);
+  };
+
+  // A layer that failed to load can't be asked about, so the country alone decides the round.
+  const finishCountryPick = () => {
+    const unavailable = subdivisionGeo?.path === question.subdivisionLayer && !subdivisionGeo.geo;
+    submitGuess(countryPick.code, countryPick.name, { subdivision: unavailable ? undefined : null });
+  };
+
+  const handleSubdivisionClick = (name) => {
+    if (!countryPick) return;
+    submitGuess(countryPick.code, countryPick.name, { subdivision: name });
   };
+  const subdivisionClickRef = useRef(handleSubdivisionClick);
+  subdivisionClickRef.current = handleSubdivisionClick;
 
+  const handleLineupPick = (image) => {
+    submitGuess(image.code, image.country);
+  };
+  // Leaflet layers keep the click handler they were created with; route through a ref to stay current.
+  const countryClickRef = useRef(handleCountryClick);
+  countryClickRef.current = handleCountryClick;
+
+  // Photos first; once they're all on the board, each press before answering takes the next hint tier.
   const handleRevealClue = () => {
-    if (question) {
+    if (!question || isLineup) return;
+    if (visibleClues < question.images.length) {
       setVisibleClues((n) => Math.min(question.images.length, n + 1));
+      return;
+    }
+    if (selected || !hintOffer(hintsUsed)) return;
+    if (HINT_TIERS[hintsUsed] === "candidates") {
+      const candidates = pickChoices(data, question, { count: CANDIDATE_COUNT, confusions: [] });
+      setHintCandidates(candidates.map((c) => c.code));
     }
+    setHintsUsed((n) => n + 1);
   };
+  const revealRef = useRef(handleRevealClue);
+  revealRef.current = handleRevealClue;
 
-  // Map styling uses module-level constants defined above.
+  const playRound = (seconds) => {
+    const now = Date.now();
+    rerollQuestion({ options: gameOptionsRef.current });
+    setClock(now);
+    setRoundDeadline(seconds ? now + seconds * 1000 : null);
+  };
 
-  const getFeatureStyle = (feature) => {
-    const name = feature?.properties?.[COUNTRY_PROP];
-    const base = {
-      weight: 1.2,
-      color: BASE_STROKE,
-      fillColor: BASE_FILL,
-      fillOpacity: BASE_FILL_OPACITY,
-      opacity: 0.8,
+  const beginGame = (options, settings) => {
+    gameOptionsRef.current = options;
+    setGame({ ...settings, results: [], finished: false });
+    setChallengeHash(settings.challenge);
+    setScore(0);
+    setAnswered(0);
+    setStreak(0);
+    setPoints(0);
+    playRound(settings.seconds);
+  };
+
+  const startGame = ({ rounds = DEFAULT_ROUNDS, seconds = 0, seed = randomSeed() } = {}) => {
+    const challenge = {
+      seed,
+      rounds,
+      seconds,
+      quiz: QUIZ_IDS[quizMode],
+      scoring: SCORING_IDS[scoringMode],
+      regions: activeRegions,
+      typeFilter,
+      countries: drillCountries,
     };
+    // Review weights and past confusions shift between sittings, so a seeded game leaves them out.
+    beginGame(
+      { ...questionOptions, cardWeight: undefined, confusions: [], random: createRandom(seed) },
+      { seed, rounds, seconds, challenge, distanceScoring: isDistanceScoring }
+    );
+  };
 
-    if (!selected && name === hoveredCountry) {
-      return {
-        ...base,
-        weight: 2.5,
-        color: HOVER_STROKE,
-        fillOpacity: HOVER_FILL_OPACITY,
-      };
-    }
+  // Same five for everyone: the daily ignores the filter dials and always scores by distance.
+  const startDaily = () => {
+    const key = dailyKey();
+    if (dailyLog[key]) return;
+    beginGame(
+      { confusions: [], random: createRandom(dailySeed(key)) },
+      { seed: dailySeed(key), rounds: DAILY_ROUNDS, seconds: 0, daily: key, challenge: null, distanceScoring: true }
+    );
+  };
 
-    if (!selected) return base;
-
-    if (name === selected) {
-      return {
-        ...base,
-        fillColor: isCorrect ? CORRECT_FILL : WRONG_FILL,
-        fillOpacity: 0.6,
-        color: isCorrect ? CORRECT_STROKE : WRONG_STROKE,
-        weight: 3,
-        dashArray: "3",
-      };
-    }
+  const leaveGame = () => {
+    setGame(null);
+    setChallengeHash(null);
+    setRoundDeadline(null);
+    rerollQuestion({ resetStats: true });
+  };
 
-    if (!isCorrect && question && name === question.correctCountry) {
-      return {
-        ...base,
-        fillColor: CORRECT_FILL,
-        fillOpacity: 0.35,
-        color: CORRECT_STROKE,
-        weight: 2.5,
-        dashArray: "4 2",
-      };
+  const nextQuestion = () => {
+    if (countryPick && !selected) {
+      finishCountryPick();
+      return;
+    }
+    if (isPinpoint && pin && !selected) {
+      confirmPin();
+      return;
+    }
+    if (!game) {
+      rerollQuestion();
+      return;
     }
+    if (game.finished) return;
+    // Moving on without a guess forfeits the round.
+    const results = selected || !question
+      ? game.results
+      : [...game.results, createAnswerRecord(question, null, {
+          correct: false,
+          cluesRevealed: isLineup ? 1 : Math.min(visibleClues, question.images.length),
+          hintsUsed,
+          score: 0,
+        })];
+    if (results.length >= game.rounds) {
+      setGame({ ...game, results, finished: true });
+      setRoundDeadline(null);
+      return;
+    }
+    setGame({ ...game, results });
+    playRound(game.seconds);
+  };
 
-    return base;
+  const nextQuestionRef = useRef(nextQuestion);
+  nextQuestionRef.current = nextQuestion;
+  const startGameRef = useRef(startGame);
+  startGameRef.current = startGame;
+
+  useEffect(() => {
+    const challenge = pendingChallengeRef.current;
+    if (!data || !challenge) return;
+    pendingChallengeRef.current = null;
+    startGameRef.current({ rounds: challenge.rounds, seconds: challenge.seconds, seed: challenge.seed });
+  }, [data]);
+
+  // Ticks the countdown; routed through a ref so the interval isn't rebuilt every render.
+  const timeUpRef = useRef(null);
+  timeUpRef.current = () => {
+    if (countryPick) finishCountryPick();
+    else if (isPinpoint && pin) confirmPin();
+    else submitGuess(TIMED_OUT, null);
   };
+  useEffect(() => {
+    if (!roundDeadline || selected) return undefined;
+    const id = setInterval(() => {
+      const now = Date.now();
+      setClock(now);
+      if (now >= roundDeadline) timeUpRef.current();
+    }, 250);
+    return () => clearInterval(id);
+  }, [roundDeadline, selected]);
+
+  // Keyboard shortcuts keep navigation quick.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.repeat || browsing) return;
+      const key = e.key.toLowerCase();
+      if (key === "enter") {
+        nextQuestionRef.current();
+      } else if (key === "h") {
+        revealRef.current();
+      } else if (question?.choices && /^[1-9]$/.test(key)) {
+        const choice = question.choices[Number(key) - 1];
+        if (choice) countryClickRef.current(choice.code, choice.country);
+      } else if (key === "r") {
+        if (worldBoundsRef.current && mapRef.current) {
+          mapRef.current.fitBounds(worldBoundsRef.current, { padding: [20, 20] });
+        }
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [question, browsing]);
 
-  const onEachCountry = (feature, layer) => {
+
+  // Map styling uses module-level constants defined above. The world layer stays mounted for the
+  // session: only countries that differ from BASE_STYLE get an entry here, and when the entries
+  // change just those layers are restyled instead of all of them. The study map styles every
+  // country by its mastery band instead of the round's state.
+  const countryStyles = useMemo(() => {
+    const styles = new Map();
+    const set = (code, style) => code && styles.set(code, { ...BASE_STYLE, ...style });
+    if (mastery) {
+      (worldGeo?.features || []).forEach((feature) => {
+        const code = featureCode(feature);
+        if (code) styles.set(code, MASTERY_STYLES[masteryBand(mastery.get(code), studyView)]);
+      });
+      if (studiedCountry) styles.set(studiedCountry.code, { ...styles.get(studiedCountry.code), color: HOVER_STROKE, weight: 3 });
+      return styles;
+    }
+    if (!question) return styles;
+    if (!selected) {
+      hintCandidates?.forEach((code) => set(code, { fillColor: HOVER_STROKE, fillOpacity: 0.4, color: HOVER_STROKE, weight: 2 }));
+      if (isLineup) set(question.correctCode, { fillColor: HOVER_STROKE, fillOpacity: 0.6, color: HOVER_STROKE, weight: 2.5 });
+      if (countryPick) set(countryPick.code, { color: HOVER_STROKE, weight: 2.5, fillOpacity: 0.3 });
+      return styles;
+    }
+    if (!isCorrect) {
+      set(question.correctCode, { fillColor: CORRECT_FILL, fillOpacity: 0.35, color: CORRECT_STROKE, weight: 2.5, dashArray: "4 2" });
+    }
+    set(selected, {
+      fillColor: isCorrect ? CORRECT_FILL : WRONG_FILL,
+      fillOpacity: 0.6,
+      color: isCorrect ? CORRECT_STROKE : WRONG_STROKE,
+      weight: 3,
+      dashArray: "3",
+    });
+    return styles;
+  }, [question, selected, isCorrect, hintCandidates, isLineup, countryPick, mastery, studyView, studiedCountry, worldGeo]);
+
+  const countryStylesRef = useRef(countryStyles);
+  countryStylesRef.current = countryStyles;
+  const appliedStylesRef = useRef(new Map());
+  useEffect(() => {
+    const applied = appliedStylesRef.current;
+    new Set([...applied.keys(), ...countryStyles.keys()]).forEach((code) => {
+      if (applied.get(code) === countryStyles.get(code)) return;
+      geoJsonLayersRef.current[code]?.setStyle(countryStyles.get(code) || BASE_STYLE);
+    });
+    appliedStylesRef.current = countryStyles;
+  }, [countryStyles]);
+
+  const getFeatureStyle = useCallback(
+    (feature) => countryStylesRef.current.get(featureCode(feature)) || BASE_STYLE,
+    []
+  );
+
+  // Layers are created once, so their handlers read whether hovering may restyle through a ref.
+  const canHoverRef = useRef(true);
+  canHoverRef.current = !selected || Boolean(studyView);
+  const onEachCountry = useCallback((feature, layer) => {
     const name = feature?.properties?.[COUNTRY_PROP];
-    if (!name) return;
+    const code = featureCode(feature);
+    if (!name || !code) return;
 
-    geoJsonLayersRef.current[name] = layer;
+    geoJsonLayersRef.current[code] = layer;
 
     // no tooltip - highlight outline only on hover
     layer.on({
-      click: () => handleCountryClick(name),
+      click: () => countryClickRef.current(code, name),
       mouseover: (e) => {
-        if (!selected) {
-          e.target.setStyle({ weight: 2, color: HOVER_STROKE, fillOpacity: HOVER_FILL_OPACITY });
-        }
+        if (canHoverRef.current) e.target.setStyle(HOVER_STYLE);
         setHoveredCountry(name);
       },
       mouseout: (e) => {
-        if (!selected) {
-          e.target.setStyle({ weight: 1.2, color: BASE_STROKE, fillOpacity: BASE_FILL_OPACITY });
-        }
+        e.target.setStyle(getFeatureStyle(feature));
         setHoveredCountry("");
       },
     });
+  }, [getFeatureStyle]);
+
+  const getSubdivisionStyle = (feature) => {
+    const name = subdivisionName(feature);
+    const base = { weight: 0.8, color: BASE_STROKE, opacity: 0.7, dashArray: "2 3", fillColor: HOVER_STROKE, fillOpacity: 0 };
+    if (!lastResult?.subdivision) return base;
+    if (sameSubdivision(name, question?.subdivision)) {
+      return { ...base, fillColor: CORRECT_FILL, fillOpacity: 0.5, color: CORRECT_STROKE, weight: 2, dashArray: null };
+    }
+    if (sameSubdivision(name, lastResult.subdivision.guess)) {
+      return { ...base, fillColor: WRONG_FILL, fillOpacity: 0.5, color: WRONG_STROKE, weight: 2, dashArray: "3" };
+    }
+    return base;
+  };
+  const subdivisionStyleRef = useRef(getSubdivisionStyle);
+  subdivisionStyleRef.current = getSubdivisionStyle;
+
+  const onEachSubdivision = (feature, layer) => {
+    const name = subdivisionName(feature);
+    layer.on({
+      click: () => subdivisionClickRef.current(name),
+      mouseover: (e) => e.target.setStyle({ weight: 2, color: HOVER_STROKE, fillOpacity: 0.35 }),
+      mouseout: (e) => e.target.setStyle(subdivisionStyleRef.current(feature)),
+    });
   };
 
   const hasQuestion = Boolean(question);
   const totalClues = hasQuestion ? question.images.length : 0;
   const cluesShown = hasQuestion ? Math.min(visibleClues, totalClues) : 0;
-  const canRevealMore = hasQuestion && cluesShown < totalClues;
-  const regionLabel = activeRegion || ALL_REGIONS;
-  const itemTypeLabel = activeItemType || ALL_CLUE_TYPES;
+  const nextHint = hasQuestion && !isLineup && !selected && cluesShown >= totalClues ? hintOffer(hintsUsed) : null;
+  const canRevealMore = hasQuestion && (cluesShown < totalClues || Boolean(nextHint));
+  const hintLines = hasQuestion && hintsUsed
+    ? describeHints(hintsUsed, {
+      region: data?.find((entry) => entry.country === question.correctCountry)?.region,
+      candidateCount: hintCandidates?.length || 0,
+      clueTypes: Array.from(new Set(question.images.map((img) => clueTypeLabel(img.type)))),
+    })
+    : [];
+  const worthUpTo = hasQuestion && !isLineup && !selected ? roundMaxScore(cluesShown, hintsUsed) : null;
+  const regionLabel = activeRegions.length ? activeRegions.join(", ") : ALL_REGIONS;
+  const itemTypeLabel = describeTypeFilter(
+    typeFilter,
+    (key) => availableItemTypes.find((option) => option.key === key)?.label || key
+  );
   const clueImages = hasQuestion ? question.images.slice(0, cluesShown) : [];
+  const lineupPrompt = isLineup
+    ? `Which ${clueTypeLabel(question.clueType).toLowerCase()} is from ${question.correctCountry}?`
+    : null;
+
+  const resultDetail = (() => {
+    if (!lastResult) return null;
+    const parts = [];
+    if (lastResult.timedOut) {
+      parts.push("Out of time");
+    } else if (lastResult.useDistance) {
+      parts.push(lastResult.distanceKm == null ? "Distance unknown" : `${formatKm(lastResult.distanceKm)} off`);
+    }
+    if (lastResult.subdivision) {
+      parts.push(lastResult.subdivision.correct ? `${question.subdivision} too` : `it was ${question.subdivision} · half credit`);
+    }
+    parts.push(`${lastResult.score.toLocaleString("en-US")} of ${lastResult.max.toLocaleString("en-US")} pts`);
+    return parts.join(" · ");
+  })();
+  const renderedAt = Date.now();
+  const today = dailyKey(renderedAt);
+  const daily = {
+    today,
+    played: dailyLog[today] || null,
+    streak: dailyStreak(dailyLog, renderedAt),
+    calendar: calendarDays(renderedAt),
+    log: dailyLog,
+    shareText: dailyLog[today] ? dailyShareText(today, dailyLog[today]) : null,
+  };
+  const gameRound = game ? Math.min(game.results.length + (selected ? 0 : 1), game.rounds) : 0;
+  const lastRoundDone = Boolean(game && selected && game.results.length >= game.rounds);
+
+  const changeStudyView = (view) => {
+    setStudyView(view);
+    if (!view) setStudiedCountry(null);
+  };
+
+  const drillCountriesFrom = (countries) => {
+    setDrillCountries(countries);
+    setBrowsing(null);
+    changeStudyView(null);
+  };
+
+  const closeBrowser = useCallback(() => setBrowsing(null), []);
 
   const statusMessage = (() => {
+    if (studyView) return hoveredCountry || "Study map — click a country to open its ledger";
+    if (countryPick && !selected) {
+      return subdivisionGeo?.path === question.subdivisionLayer && !subdivisionGeo.geo
+        ? `${countryPick.name} it is — its regions couldn't be loaded, press Enter`
+        : `${countryPick.name} it is — now mark the region (Enter to skip)`;
+    }
+    if (isPinpoint && !selected) {
+      return pin ? "Drag the pin to adjust, then confirm (Enter)" : "Click the chart where this photo was taken";
+    }
     if (hoveredCountry) return hoveredCountry;
+    if (lineupPrompt && !selected) return lineupPrompt;
+    if (selected && hasQuestion && resultDetail) {
+      return isCorrect ? `Well navigated! ${resultDetail}` : `The correct port was ${question.correctCountry} — ${resultDetail}`;
+    }
     if (selected && hasQuestion) return isCorrect ? "Well navigated!" : `The correct port was ${question.correctCountry}`;
+    if (question?.choices) return "Pick a country below (keys 1–4) or click the map";
     return "Click a country to make your guess";
   })();
 
@@ -534,41 +1070,150 @@ export default function GeoguessrFlashcards() {
             </p>
           </div>
           <div className="flex items-center gap-3">
+            <button
+              onClick={() => setBrowsing([])}
+              disabled={isGameRunning}
+              title={isGameRunning ? "Closed while a game is running" : "Browse every clue by country"}
+              className="rounded-lg border-2 border-brass bg-parchment px-3 py-1.5 font-cormorant text-sm text-ink disabled:opacity-60"
+            >
+              Clue atlas
+            </button>
+            <OfflineDial
+              dataset={data}
+              regionGroups={availableRegions}
+              className="rounded-lg border-2 border-brass bg-parchment px-3 py-1.5 font-cormorant text-sm text-ink md:w-36"
+            />
+            <GameDial
+              game={isGameRunning ? game : null}
+              roundOptions={ROUND_OPTIONS}
+              timerOptions={TIMER_OPTIONS}
+              defaultRounds={DEFAULT_ROUNDS}
+              shareUrl={isGameRunning && game.challenge ? challengeUrl(game.challenge) : null}
+              daily={daily}
+              onStartDaily={startDaily}
+              onStart={startGame}
+              onLeave={leaveGame}
+            />
             <FilterDials
-              regionOptions={regionOptions}
-              itemTypeOptions={itemTypeOptions}
+              regionGroups={availableRegions}
+              activeRegions={activeRegions}
+              itemTypeOptions={availableItemTypes}
               regionLabel={regionLabel}
               itemTypeLabel={itemTypeLabel}
-              onRegionChange={(v) => setActiveRegion(v === ALL_REGIONS ? null : v)}
-              onItemTypeChange={(v) => setActiveItemType(v === ALL_CLUE_TYPES ? null : v)}
+              typeFilter={typeFilter}
+              onRegionChange={setActiveRegions}
+              onTypeFilterChange={setTypeFilter}
+              modeOptions={STUDY_MODES}
+              modeLabel={studyMode}
+              onModeChange={setStudyMode}
+              quizOptions={availableQuizModes}
+              quizLabel={quizMode}
+              onQuizChange={setQuizMode}
+              dueCount={dueCount}
+              scoringOptions={SCORING_MODES}
+              scoringLabel={scoringMode}
+              onScoringChange={setScoringMode}
               isCompactLayout={isCompactLayout}
             />
           </div>
         </header>
 
+        {updateNotice && (
+          <div className="mb-3 flex items-center justify-between gap-3 rounded border border-brass bg-parchment/10 px-3 py-2 font-cormorant text-sm italic text-parchment">
+            <span>
+              {updateNotice.kind === "app"
+                ? "A new edition of the desk is ready."
+                : "New clues have arrived since these charts were saved."}
+            </span>
+            <span className="flex gap-3">
+              <button
+                onClick={() => (updateNotice.activate ? updateNotice.activate() : window.location.reload())}
+                className="text-brass underline"
+              >
+                Reload
+              </button>
+              <button onClick={() => setUpdateNotice(null)} className="text-parchment-dark underline">Later</button>
+            </span>
+          </div>
+        )}
+
         {/* Main content */}
         <div className="flex min-h-0 flex-1 flex-col gap-4 lg:flex-row lg:gap-6">
           {/* Left column */}
           <div className="flex w-full flex-shrink-0 flex-col gap-4 lg:w-[28%] lg:max-w-[340px]">
+            {isGameRunning && (
+              <div className="flex items-center justify-between gap-2 rounded border border-brass/60 bg-parchment/10 px-3 py-2 font-courier text-xs text-parchment">
+                <span>{game.daily ? "Daily · " : ""}Round {gameRound} of {game.rounds}</span>
+                {roundDeadline && !selected && (
+                  <span className={roundDeadline - clock < 10000 ? "text-red-300" : ""}>
+                    {formatCountdown(roundDeadline - clock)}
+                  </span>
+                )}
+                <span>{gameTotal(game.results).toLocaleString("en-US")} pts</span>
+              </div>
+            )}
+
             <Corkboard
               clueImages={clueImages}
               totalClues={totalClues}
               cluesShown={cluesShown}
               canRevealMore={canRevealMore}
               onReveal={handleRevealClue}
+              revealLabel={nextHint}
+              hintLines={hintLines}
+              worthUpTo={worthUpTo}
               onNext={nextQuestion}
+              nextLabel={isPinpoint && pin && !selected ? "Confirm pin" : countryPick ? "Skip the region" : lastRoundDone ? "See the tally" : isGameRunning ? "Next Round" : "Next Question"}
               selected={selected}
               isCorrect={isCorrect}
               correctCountry={question?.correctCountry}
+              resultDetail={resultDetail}
+              lineupPrompt={lineupPrompt}
+              onLineupPick={handleLineupPick}
             />
+            <PhotoPrefetch question={upcoming?.question} />
+
+            {question?.choices && (
+              <ChoiceButtons
+                choices={question.choices}
+                onChoose={(choice) => handleCountryClick(choice.code, choice.country)}
+                selected={selected}
+                correctCode={question.correctCode}
+              />
+            )}
+
+            {drillCountries && (
+              <div className="flex items-center justify-between gap-2 rounded border border-dashed border-brass/50 bg-parchment/10 px-3 py-2 font-cormorant text-sm italic text-parchment">
+                <span>Drilling {drillCountries.join(" vs ")}</span>
+                <button onClick={() => setDrillCountries(null)} className="text-brass underline">End drill</button>
+              </div>
+            )}
 
             {filterError && !hasQuestion && (
               <div className="rounded border border-dashed border-brass/50 bg-parchment/10 p-3 font-cormorant text-sm italic text-parchment">
-                <p>No expeditions match these charts.</p>
+                <p>
+                  {quizMode === PINPOINT_QUIZ
+                    ? "None of the located photos match these charts."
+                    : "No expeditions match these charts."}
+                </p>
                 <button onClick={clearFilters} className="mt-2 text-brass underline">Clear filters</button>
               </div>
             )}
 
+            <div className="mt-auto pt-8">
+              <StatsEnvelope
+                score={score}
+                answered={answered}
+                streak={streak}
+                points={points}
+                regionLabel={regionLabel}
+                itemTypeLabel={itemTypeLabel}
+                summary={historySummary}
+                dataset={data}
+                onDrill={setDrillCountries}
+              />
+            </div>
+
           </div>
 
           {/* Right column: map */}
@@ -591,7 +1236,6 @@ export default function GeoguessrFlashcards() {
             <ParchmentMap
               mapRef={mapRef}
               worldGeo={worldGeo}
-              question={question}
               getFeatureStyle={getFeatureStyle}
               onEachCountry={onEachCountry}
               statusMessage={statusMessage}
@@ -602,7 +1246,30 @@ export default function GeoguessrFlashcards() {
               blotLatLng={blotLatLng}
               selected={selected}
               isCorrect={isCorrect}
-            />
+              distanceKm={lastResult?.useDistance ? lastResult.distanceKm : null}
+              subdivisionGeo={subdivisionGeo?.path === subdivisionPath ? subdivisionGeo.geo : null}
+              subdivisionKey={`${subdivisionPath}-${countryPick ? "pick" : "view"}-${question?.correctCountry}`}
+              subdivisionsInteractive={Boolean(countryPick)}
+              getSubdivisionStyle={getSubdivisionStyle}
+              onEachSubdivision={onEachSubdivision}
+              pinpoint={isPinpoint && !studyView}
+              pinLatLng={pin}
+              onPinMove={setPin}
+              onConfirmPin={confirmPin}
+              studyView={studyView}
+              onStudyViewChange={changeStudyView}
+              studySwatches={MASTERY_SWATCHES}
+            >
+              {studiedCountry && mastery && (
+                <CountryLedger
+                  name={studiedCountry.name}
+                  row={mastery.get(studiedCountry.code) || null}
+                  onDrill={() => drillCountriesFrom([mastery.get(studiedCountry.code).country])}
+                  onBrowse={isGameRunning ? null : () => setBrowsing([mastery.get(studiedCountry.code).country])}
+                  onClose={() => setStudiedCountry(null)}
+                />
+              )}
+            </ParchmentMap>
           </div>
         </div>
 
@@ -610,6 +1277,27 @@ export default function GeoguessrFlashcards() {
         <div className="absolute bottom-4 right-4 md:bottom-6 md:right-6 lg:bottom-8 lg:right-8">
           <HelpBadge />
         </div>
+
+        {browsing && (
+          <CountryBrowser
+            dataset={data}
+            initialCountries={browsing}
+            onDrill={drillCountriesFrom}
+            onClose={closeBrowser}
+          />
+        )}
+
+        {game?.finished && (
+          <GameSummary
+            game={game}
+            total={gameTotal(game.results)}
+            shareUrl={game.challenge ? challengeUrl(game.challenge) : null}
+            shareText={game.daily ? dailyShareText(game.daily, recordDaily({}, game.daily, game.results)[game.daily]) : null}
+            onReplay={() => startGame({ rounds: game.rounds, seconds: game.seconds, seed: game.seed })}
+            onNewGame={() => startGame({ rounds: game.rounds, seconds: game.seconds })}
+            onClose={leaveGame}
+          />
+        )}
       </div>
     </DeskSurface>
   );
@@ -0,0 +1,53 @@
+/**
+ * Challenge links pack a game's seed, length and filters into the URL hash, so a teammate
+ * opening the link draws the same questions. The hash survives GitHub Pages, which only
+ * serves index.html at the site root.
+ */
+const LIST_SEPARATOR = ",";
+const MAX_ROUNDS = 50;
+
+function readList(params, key) {
+  const value = params.get(key);
+  return value ? value.split(LIST_SEPARATOR).filter(Boolean) : [];
+}
+
+function readInt(params, key, fallback, max) {
+  const n = Number.parseInt(params.get(key), 10);
+  return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+}
+
+export function encodeChallenge({ seed, rounds, seconds, quiz, scoring, regions, typeFilter, countries }) {
+  const params = new URLSearchParams();
+  params.set("seed", seed);
+  params.set("rounds", String(rounds));
+  if (seconds) params.set("time", String(seconds));
+  if (quiz) params.set("quiz", quiz);
+  if (scoring) params.set("scoring", scoring);
+  if (regions?.length) params.set("regions", regions.join(LIST_SEPARATOR));
+  if (typeFilter?.include.length) params.set("types", typeFilter.include.join(LIST_SEPARATOR));
+  if (typeFilter?.exclude.length) params.set("without", typeFilter.exclude.join(LIST_SEPARATOR));
+  if (countries?.length) params.set("countries", countries.join(LIST_SEPARATOR));
+  return params.toString();
+}
+
+// Returns null unless the hash carries a seed.
+export function decodeChallenge(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const seed = params.get("seed");
+  if (!seed) return null;
+  const countries = readList(params, "countries");
+  return {
+    seed,
+    rounds: Math.max(1, readInt(params, "rounds", 5, MAX_ROUNDS)),
+    seconds: readInt(params, "time", 0, 600),
+    quiz: params.get("quiz") || null,
+    scoring: params.get("scoring") || null,
+    regions: readList(params, "regions"),
+    typeFilter: { include: readList(params, "types"), exclude: readList(params, "without") },
+    countries: countries.length ? countries : null,
+  };
+}
+
+export function challengeUrl(challenge, location = window.location) {
+  return `${location.origin}${location.pathname}${location.search}#${encodeChallenge(challenge)}`;
+}
@@ -0,0 +1,28 @@
+import { challengeUrl, decodeChallenge, encodeChallenge } from "./challengeLink";
+
+const challenge = {
+  seed: "k3v9qz",
+  rounds: 5,
+  seconds: 30,
+  quiz: "choice",
+  scoring: "distance",
+  regions: ["Europe › Baltics", "Asia"],
+  typeFilter: { include: ["bollard"], exclude: [] },
+  countries: null,
+};
+
+test("challenges round-trip through the hash", () => {
+  expect(decodeChallenge(`#${encodeChallenge(challenge)}`)).toEqual(challenge);
+});
+
+test("links keep the page path and replace the hash", () => {
+  const location = { origin: "https://example.github.io", pathname: "/GeoCards/", search: "" };
+  const url = challengeUrl({ ...challenge, regions: [], typeFilter: { include: [], exclude: [] } }, location);
+  expect(url).toBe("https://example.github.io/GeoCards/#seed=k3v9qz&rounds=5&time=30&quiz=choice&scoring=distance");
+});
+
+test("hashes without a seed, or with junk numbers, are handled", () => {
+  expect(decodeChallenge("")).toBeNull();
+  expect(decodeChallenge("#rounds=5")).toBeNull();
+  expect(decodeChallenge("#seed=abc&rounds=-2&time=x")).toMatchObject({ rounds: 5, seconds: 0 });
+});
@@ -0,0 +1,43 @@
+import { shuffleArray } from "./random";
+
+/**
+ * Multiple-choice answers: the correct country plus plausible distractors.
+ * Distractors are drawn tier by tier -- countries you have confused with this one,
+ * then neighbours that share a shown clue type, then either of the two, then anyone.
+ */
+const MAX_CONFUSIONS = 2;
+
+function sharesType(entry, typeKeys) {
+  return (entry.items || []).some(
+    (item) => typeof item.type === "string" && item.images?.length && typeKeys.has(item.type.toLowerCase())
+  );
+}
+
+export function pickChoices(dataset, question, { count = 4, confusions = [], random = Math.random } = {}) {
+  const entries = dataset || [];
+  const correct = entries.find((entry) => entry.country === question.correctCountry);
+  const others = entries.filter((entry) => entry.country !== question.correctCountry);
+  const typeKeys = new Set(question.images.map((img) => img.type.toLowerCase()));
+  const isNeighbour = (entry) => Boolean(correct?.region) && entry.region === correct.region;
+
+  // Mix-ups count in both directions: guessing Lithuania for Latvia, or Latvia for Lithuania.
+  const confused = confusions
+    .filter((pair) => pair.correct === question.correctCountry || pair.guessed === question.correctCountry)
+    .map((pair) => (pair.correct === question.correctCountry ? pair.guessed : pair.correct));
+
+  const tiers = [
+    shuffleArray(others.filter((entry) => confused.includes(entry.country)), random).slice(0, MAX_CONFUSIONS),
+    shuffleArray(others.filter((entry) => isNeighbour(entry) && sharesType(entry, typeKeys)), random),
+    shuffleArray(others.filter((entry) => isNeighbour(entry) || sharesType(entry, typeKeys)), random),
+    shuffleArray(others, random),
+  ];
+
+  const picked = [];
+  tiers.flat().forEach((entry) => {
+    if (picked.length < count - 1 && !picked.includes(entry)) picked.push(entry);
+  });
+
+  return shuffleArray([{ country: question.correctCountry, code: question.correctCode }].concat(
+    picked.map((entry) => ({ country: entry.country, code: entry.code }))
+  ), random);
+}
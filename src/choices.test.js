@@ -0,0 +1,38 @@
+import { pickChoices } from "./choices";
+import { entry } from "./testFixtures";
+
+const dataset = [
+  entry("Latvia", "LV", "Europe", ["bollard", "pole"]),
+  entry("Lithuania", "LT", "Europe", ["bollard"]),
+  entry("Estonia", "EE", "Europe", ["bollard"]),
+  entry("Poland", "PL", "Europe", ["sign"]),
+  entry("Brazil", "BR", "South America", ["bollard"]),
+  entry("Japan", "JP", "Asia", ["sign"]),
+  entry("Kenya", "KE", "Africa", ["car"]),
+];
+
+const question = {
+  correctCountry: "Latvia",
+  correctCode: "LV",
+  images: [{ url: "/images/Latvia/bollard (1).png", type: "bollard" }],
+};
+
+test("offers the answer and three distinct distractors", () => {
+  const choices = pickChoices(dataset, question);
+  expect(choices).toHaveLength(4);
+  expect(choices).toContainEqual({ country: "Latvia", code: "LV" });
+  expect(new Set(choices.map((c) => c.code)).size).toBe(4);
+});
+
+test("prefers neighbours that share the clue type", () => {
+  const countries = pickChoices(dataset, question).map((c) => c.country);
+  expect(countries).toEqual(expect.arrayContaining(["Lithuania", "Estonia"]));
+  expect(countries).not.toContain("Kenya");
+});
+
+test("past confusions come first", () => {
+  const confusions = [{ correct: "Japan", guessed: "Latvia", count: 3 }];
+  const countries = pickChoices(dataset, question, { confusions }).map((c) => c.country);
+  expect(countries).toContain("Japan");
+  expect(countries).not.toContain("Kenya");
+});
@@ -0,0 +1,61 @@
+const ZOOM_PADDING = 0.15;
+const MIN_ZOOM_SPAN = 0.2;
+
+function shapePoints(annotation) {
+  if (annotation.box) {
+    const [x, y, w, h] = annotation.box;
+    return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+  }
+  return annotation.polygon;
+}
+
+// Padded bounding box of every annotation, in 0-1 image fractions.
+function zoomWindow(annotations) {
+  const points = annotations.flatMap(shapePoints);
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  const span = (min, max) => Math.max(MIN_ZOOM_SPAN, (max - min) * (1 + 2 * ZOOM_PADDING));
+  const w = Math.min(1, span(Math.min(...xs), Math.max(...xs)));
+  const h = Math.min(1, span(Math.min(...ys), Math.max(...ys)));
+  const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+  const x = Math.min(1 - w, Math.max(0, cx - w / 2));
+  const y = Math.min(1 - h, Math.max(0, cy - h / 2));
+  return [x, y, w, h];
+}
+
+/**
+ * Draws annotation shapes over a clue photo. The SVG uses "slice" scaling, which crops the
+ * same way as the photo's object-cover, so shapes line up with the visible pixels.
+ * When zoomed, the SVG paints the photo itself and narrows its viewBox to the annotations.
+ */
+export default function AnnotationOverlay({ annotations, src, naturalSize, zoomed = false }) {
+  if (!annotations?.length || !naturalSize) return null;
+
+  const { width, height } = naturalSize;
+  const [vx, vy, vw, vh] = zoomed ? zoomWindow(annotations) : [0, 0, 1, 1];
+
+  return (
+    <svg
+      className="pointer-events-none absolute inset-0 h-full w-full"
+      viewBox={`${vx * width} ${vy * height} ${vw * width} ${vh * height}`}
+      preserveAspectRatio="xMidYMid slice"
+      aria-hidden="true"
+    >
+      {zoomed && <image href={src} width={width} height={height} />}
+      {annotations.map((annotation, idx) => (
+        <polygon
+          key={idx}
+          points={shapePoints(annotation).map(([x, y]) => `${x * width},${y * height}`).join(" ")}
+          fill="rgba(200,168,78,0.12)"
+          stroke="#C8A84E"
+          strokeWidth="3"
+          strokeDasharray="8 4"
+          vectorEffect="non-scaling-stroke"
+        >
+          {annotation.label && <title>{annotation.label}</title>}
+        </polygon>
+      ))}
+    </svg>
+  );
+}
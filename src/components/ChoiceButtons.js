@@ -0,0 +1,29 @@
+// Four country buttons for answering without the map; number keys 1-4 press them.
+export default function ChoiceButtons({ choices, onChoose, selected, correctCode }) {
+  const answered = Boolean(selected);
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      {choices.map((choice, idx) => {
+        const tone = !answered
+          ? "border-brass bg-parchment text-ink hover:bg-parchment-dark"
+          : choice.code === correctCode
+            ? "border-wax-green bg-wax-green text-parchment"
+            : choice.code === selected
+              ? "border-wax-red bg-wax-red text-parchment"
+              : "border-brass/40 bg-parchment/40 text-ink-faded";
+        return (
+          <button
+            key={choice.code || choice.country}
+            onClick={() => onChoose(choice)}
+            disabled={answered}
+            className={`flex items-center gap-2 rounded border-2 px-3 py-2 text-left font-cormorant text-sm shadow-[1px_2px_4px_rgba(0,0,0,0.3)] transition-colors ${tone}`}
+          >
+            <kbd className="font-courier text-[10px] opacity-70">{idx + 1}</kbd>
+            <span className="truncate">{choice.country}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
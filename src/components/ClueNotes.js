@@ -0,0 +1,16 @@
+// Sidecar notes for a clue image: the tell, why it points to the country, and attribution.
+export default function ClueNotes({ meta, className = "" }) {
+  if (!meta || !(meta.tell || meta.explanation || meta.source)) return null;
+
+  return (
+    <div className={`rounded-sm border border-parchment-dark bg-parchment px-3 py-2 shadow-[1px_2px_4px_rgba(0,0,0,0.25)] ${className}`}>
+      {meta.tell && <p className="font-fell text-xs tracking-wide text-ink">{meta.tell}</p>}
+      {meta.explanation && (
+        <p className="mt-0.5 font-cormorant text-sm leading-snug text-ink-faded">{meta.explanation}</p>
+      )}
+      {meta.source && (
+        <p className="mt-1 font-courier text-[10px] text-ink-faded">Source: {meta.source}</p>
+      )}
+    </div>
+  );
+}
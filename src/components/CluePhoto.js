@@ -1,6 +1,21 @@
+import { useState } from "react";
 import { assetUrl, deriveImageName } from "../utils";
+import { clueTypeLabel } from "../taxonomy";
+import { imageSources } from "../media";
+import AnnotationOverlay from "./AnnotationOverlay";
+
+// The board column is full width on phones and at most 340px beside the map.
+export const FEATURED_SIZES = "(min-width: 1024px) 320px, 100vw";
+export const THUMB_SIZES = "(min-width: 1024px) 160px, 50vw";
+
+export default function CluePhoto({ image, index, showLabel, featured = false, animate = false, sizes, eager = false }) {
+  const { media } = image;
+  const [naturalSize, setNaturalSize] = useState(media ? { width: media.width, height: media.height } : null);
+  const [zoomed, setZoomed] = useState(false);
+  const annotations = image.meta?.annotations;
+  const showAnnotations = showLabel && Boolean(annotations?.length);
+  const src = assetUrl(image.url);
 
-export default function CluePhoto({ image, index, showLabel, featured = false, animate = false }) {
   return (
     <div
       className={`${featured ? "" : "clue-photo"} relative ${animate ? "animate-photo-pin" : ""}`}
@@ -12,13 +27,48 @@ export default function CluePhoto({ image, index, showLabel, featured = false, a
         />
       )}
       <div className="overflow-hidden border-4 border-white bg-white shadow-[2px_3px_8px_rgba(0,0,0,0.35)]">
-        <div className={featured ? "aspect-[4/3] overflow-hidden" : "aspect-square overflow-hidden"}>
-          <img
-            src={assetUrl(image.url)}
-            alt={`Clue ${index + 1} — ${image.type}`}
-            className="h-full w-full object-cover"
-            loading="lazy"
-          />
+        <div className={`relative ${featured ? "aspect-[4/3] overflow-hidden" : "aspect-square overflow-hidden"}`}>
+          {/* The 16px placeholder, blurred and scaled past the edges so the blur doesn't fade in from them */}
+          {media?.placeholder && (
+            <div
+              aria-hidden="true"
+              className="absolute inset-0 scale-110 bg-cover bg-center blur-md"
+              style={{ backgroundImage: `url(${media.placeholder})` }}
+            />
+          )}
+          <picture>
+            {imageSources(media).map((source) => (
+              <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes || (featured ? FEATURED_SIZES : THUMB_SIZES)} />
+            ))}
+            <img
+              src={src}
+              alt={`Clue ${index + 1} — ${clueTypeLabel(image.type)}`}
+              width={media?.width}
+              height={media?.height}
+              className="relative h-full w-full object-cover"
+              loading={eager ? "eager" : "lazy"}
+              onLoad={(e) => {
+                if (!media) setNaturalSize({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight });
+              }}
+            />
+          </picture>
+          {showAnnotations && (
+            <AnnotationOverlay
+              annotations={annotations}
+              src={src}
+              naturalSize={naturalSize}
+              zoomed={featured && zoomed}
+            />
+          )}
+          {showAnnotations && featured && (
+            <button
+              onClick={() => setZoomed((z) => !z)}
+              aria-pressed={zoomed}
+              className="absolute bottom-1.5 right-1.5 rounded-sm border border-brass bg-parchment/90 px-2 py-0.5 font-cormorant text-xs italic text-ink shadow-[1px_1px_3px_rgba(0,0,0,0.3)] hover:bg-parchment"
+            >
+              {zoomed ? "Full view" : "Zoom to the tell"}
+            </button>
+          )}
         </div>
       </div>
       {showLabel && featured && (
@@ -0,0 +1,87 @@
+import DialPopover from "./DialPopover";
+
+const STATE_STYLES = {
+  include: "border-wax-green bg-wax-green text-parchment",
+  exclude: "border-wax-red bg-wax-red text-parchment line-through",
+  neutral: "border-parchment-dark bg-parchment text-ink-faded hover:border-brass",
+};
+
+function stateOf(filter, key) {
+  if (filter.include.includes(key)) return "include";
+  if (filter.exclude.includes(key)) return "exclude";
+  return "neutral";
+}
+
+// Each click cycles a type: neutral -> include -> exclude -> neutral.
+function cycle(filter, key) {
+  const include = filter.include.filter((k) => k !== key);
+  const exclude = filter.exclude.filter((k) => k !== key);
+  const state = stateOf(filter, key);
+  if (state === "neutral") include.push(key);
+  if (state === "include") exclude.push(key);
+  return { include, exclude };
+}
+
+// Category headers include every type in the category, or clear them if all are already included.
+function toggleCategory(filter, keys) {
+  const allIncluded = keys.every((key) => filter.include.includes(key));
+  const include = filter.include.filter((k) => !keys.includes(k));
+  const exclude = filter.exclude.filter((k) => !keys.includes(k));
+  return allIncluded ? { include, exclude } : { include: [...include, ...keys], exclude };
+}
+
+function groupByCategory(options) {
+  const groups = [];
+  options.forEach((option) => {
+    const last = groups[groups.length - 1];
+    if (last && last.category === option.category) last.options.push(option);
+    else groups.push({ category: option.category, options: [option] });
+  });
+  return groups;
+}
+
+export default function ClueTypePicker({ options, filter, onChange, label, className }) {
+  const isEmpty = filter.include.length === 0 && filter.exclude.length === 0;
+
+  return (
+    <DialPopover label={label} className={className} disabled={options.length === 0}>
+      <p className="mb-2 font-cormorant text-xs italic text-ink-faded">
+        Click once to include, twice to exclude.
+      </p>
+      {groupByCategory(options).map((group) => (
+        <div key={group.category} className="mb-2">
+          <button
+            onClick={() => onChange(toggleCategory(filter, group.options.map((o) => o.key)))}
+            className="mb-1 font-fell text-xs tracking-wide text-ink hover:text-wax-green"
+            title={`Include all ${group.category}`}
+          >
+            {group.category}
+          </button>
+          <div className="flex flex-wrap gap-1.5">
+            {group.options.map(({ key, label: typeLabel }) => {
+              const state = stateOf(filter, key);
+              return (
+                <button
+                  key={key}
+                  onClick={() => onChange(cycle(filter, key))}
+                  aria-pressed={state !== "neutral"}
+                  title={state === "neutral" ? "Include" : state === "include" ? "Exclude" : "Reset"}
+                  className={`rounded-full border px-2 py-0.5 font-cormorant text-xs transition-colors ${STATE_STYLES[state]}`}
+                >
+                  {typeLabel}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange({ include: [], exclude: [] })}
+        disabled={isEmpty}
+        className="mt-2 font-cormorant text-xs italic text-ink-faded underline disabled:opacity-50"
+      >
+        Clear clue types
+      </button>
+    </DialPopover>
+  );
+}
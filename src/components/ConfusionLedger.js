@@ -0,0 +1,46 @@
+import { useState } from "react";
+import { drillablePair } from "../history";
+
+const COLLAPSED_LIMIT = 5;
+
+export default function ConfusionLedger({ confusions, dataset, onDrill }) {
+  const [showAll, setShowAll] = useState(false);
+
+  if (!confusions.length) {
+    return <p className="font-cormorant text-[11px] italic text-ink-faded">No mix-ups recorded.</p>;
+  }
+
+  const rows = showAll ? confusions : confusions.slice(0, COLLAPSED_LIMIT);
+
+  return (
+    <div className="font-courier text-[11px] text-ink">
+      <div className="space-y-0.5">
+        {rows.map((pair) => {
+          const drill = drillablePair(pair, dataset);
+          return (
+            <button
+              key={`${pair.correct}-${pair.guessed}`}
+              onClick={() => onDrill(drill)}
+              disabled={!drill}
+              title={drill ? `Drill ${pair.correct} against ${pair.guessed}` : "No cards on file for both countries"}
+              className="flex w-full justify-between gap-2 rounded-sm px-1 text-left transition-colors hover:bg-brass/20 disabled:opacity-60 disabled:hover:bg-transparent"
+            >
+              <span className="truncate">
+                {pair.correct} <span className="font-cormorant italic text-ink-faded">guessed as</span> {pair.guessed}
+              </span>
+              <span className="font-bold">×{pair.count}</span>
+            </button>
+          );
+        })}
+      </div>
+      {confusions.length > COLLAPSED_LIMIT && (
+        <button
+          onClick={() => setShowAll((s) => !s)}
+          className="mt-1 font-cormorant text-[11px] italic text-ink-faded underline"
+        >
+          {showAll ? "Show fewer" : `Show all ${confusions.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
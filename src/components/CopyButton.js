@@ -0,0 +1,22 @@
+import { useState } from "react";
+
+// Copies text to the clipboard; falls back to a prompt where the clipboard API is unavailable.
+export default function CopyButton({ text, className, label = "Copy challenge link", copiedLabel = "Copied" }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt("Copy this", text);
+    }
+  };
+
+  return (
+    <button onClick={copy} className={className}>
+      {copied ? copiedLabel : label}
+    </button>
+  );
+}
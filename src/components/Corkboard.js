@@ -1,5 +1,7 @@
 import { useState, useEffect, useRef } from "react";
 import CluePhoto from "./CluePhoto";
+import ClueNotes from "./ClueNotes";
+import LineupGrid from "./LineupGrid";
 
 export default function Corkboard({
   clueImages,
@@ -7,10 +9,17 @@ export default function Corkboard({
   cluesShown,
   canRevealMore,
   onReveal,
+  revealLabel,
+  hintLines = [],
+  worthUpTo,
   onNext,
   selected,
   isCorrect,
   correctCountry,
+  resultDetail,
+  lineupPrompt,
+  onLineupPick,
+  nextLabel = "Next Question",
 }) {
   const showLabels = Boolean(selected);
   const [featuredIdx, setFeaturedIdx] = useState(0);
@@ -35,12 +44,24 @@ export default function Corkboard({
           <h2 className="font-fell text-sm tracking-wide text-parchment-dark">Evidence Board</h2>
           <span className="font-courier text-xs text-parchment-dark">
             {totalClues > 0 ? `${cluesShown}/${totalClues}` : "\u2014"}
+            {worthUpTo != null && ` · up to ${worthUpTo.toLocaleString("en-US")} pts`}
           </span>
         </div>
 
         <div className="p-3">
+          {lineupPrompt && (
+            <LineupGrid
+              images={clueImages}
+              prompt={lineupPrompt}
+              onPick={onLineupPick}
+              selected={selected}
+              correctCountry={correctCountry}
+              animate={shouldAnimate}
+            />
+          )}
+
           {/* Featured large photo */}
-          {featured && (
+          {!lineupPrompt && featured && (
             <CluePhoto
               key={`featured-${featured.url}`}
               image={featured}
@@ -51,8 +72,10 @@ export default function Corkboard({
             />
           )}
 
+          {!lineupPrompt && showLabels && featured && <ClueNotes meta={featured.meta} className="mt-2" />}
+
           {/* Thumbnail row */}
-          {clueImages.length > 1 && (
+          {!lineupPrompt && clueImages.length > 1 && (
             <div className="mt-2 grid grid-cols-2 gap-2">
               {clueImages.map((img, idx) => {
                 if (idx === featuredIdx) return null;
@@ -76,13 +99,21 @@ export default function Corkboard({
           )}
         </div>
 
+        {hintLines.length > 0 && (
+          <ul className="mx-3 mb-3 space-y-0.5 rounded-sm bg-parchment/90 px-2 py-1.5 font-cormorant text-xs italic text-ink shadow-[1px_1px_3px_rgba(0,0,0,0.3)]">
+            {hintLines.map((line) => (
+              <li key={line}>{line}</li>
+            ))}
+          </ul>
+        )}
+
         {canRevealMore && (
           <div className="px-3 pb-3">
             <button
               onClick={onReveal}
               className="w-full rounded border border-dashed border-brass/50 bg-parchment/10 px-3 py-2 font-cormorant text-sm italic text-parchment transition-colors hover:bg-parchment/20"
             >
-              Reveal another clue
+              {revealLabel || "Reveal another clue"}
             </button>
           </div>
         )}
@@ -91,6 +122,7 @@ export default function Corkboard({
       {selected && (
         <p className={`mt-2 text-center font-cormorant text-sm italic ${isCorrect ? "text-green-300" : "text-red-300"}`}>
           {isCorrect ? "Well navigated!" : <>The correct port was <strong>{correctCountry}</strong></>}
+          {resultDetail && <span className="block font-courier text-xs not-italic">{resultDetail}</span>}
         </p>
       )}
 
@@ -99,7 +131,7 @@ export default function Corkboard({
           onClick={onNext}
           className="flex-1 rounded border-2 border-brass bg-parchment px-4 py-2 font-fell text-sm tracking-wide text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] transition-all hover:bg-parchment-dark hover:shadow-[1px_2px_8px_rgba(0,0,0,0.4)]"
         >
-          Next Question
+          {nextLabel}
         </button>
       </div>
     </div>
@@ -0,0 +1,180 @@
+import { useEffect, useMemo, useState } from "react";
+import CluePhoto from "./CluePhoto";
+import ClueNotes from "./ClueNotes";
+import { MAX_COMPARED, compareGalleries, countryGallery, toggleCompared } from "../gallery";
+
+const GALLERY_SIZES = "(min-width: 1024px) 200px, (min-width: 640px) 33vw, 50vw";
+const COMPARE_SIZES = "(min-width: 1024px) 140px, 25vw";
+const COMPARE_COLUMNS = { 2: "grid-cols-2", 3: "grid-cols-3" };
+
+function GalleryPhoto({ image, index, sizes }) {
+  return (
+    <figure>
+      <CluePhoto image={image} index={index} showLabel sizes={sizes} />
+      <figcaption className="mt-1 font-cormorant text-xs italic text-ink-faded">{image.name}</figcaption>
+      <ClueNotes meta={image.meta} className="mt-1" />
+    </figure>
+  );
+}
+
+function GroupTitle({ group, count }) {
+  return (
+    <h3 className="mb-2 flex items-baseline gap-2 border-b border-parchment-dark pb-0.5">
+      <span className="font-fell text-sm tracking-wide text-ink">{group.label}</span>
+      <span className="font-cormorant text-xs italic text-ink-faded">{group.category}</span>
+      {count != null && <span className="ml-auto font-courier text-[11px] text-ink-faded">{count}</span>}
+    </h3>
+  );
+}
+
+// Browse mode: every photo on file for a country, grouped by clue type, or two to three
+// countries side by side per clue type. `countries` are dataset country names.
+export default function CountryBrowser({ dataset, initialCountries = [], onDrill, onClose }) {
+  const [countries, setCountries] = useState(initialCountries.slice(0, MAX_COMPARED));
+  const [search, setSearch] = useState("");
+  const [sharedOnly, setSharedOnly] = useState(false);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const byRegion = useMemo(() => {
+    const needle = search.trim().toLowerCase();
+    const groups = new Map();
+    (dataset || [])
+      .filter((entry) => !needle || entry.country.toLowerCase().includes(needle))
+      .sort((a, b) => a.country.localeCompare(b.country))
+      .forEach((entry) => {
+        const region = entry.region || "Elsewhere";
+        groups.set(region, [...(groups.get(region) || []), entry]);
+      });
+    return Array.from(groups.entries()).sort(([a], [b]) => a.localeCompare(b));
+  }, [dataset, search]);
+
+  const entries = countries
+    .map((country) => (dataset || []).find((entry) => entry.country === country))
+    .filter(Boolean);
+  const isComparing = entries.length > 1;
+  const groups = entries.length === 1 ? countryGallery(entries[0]) : [];
+  const rows = isComparing ? compareGalleries(entries).filter((row) => !sharedOnly || row.shared) : [];
+
+  return (
+    <div className="fixed inset-0 z-[700] flex items-center justify-center bg-black/50 p-4">
+      <div className="flex h-full max-h-[90vh] w-full max-w-6xl flex-col overflow-hidden rounded border border-parchment-dark bg-parchment shadow-[4px_6px_20px_rgba(0,0,0,0.5)] md:flex-row">
+        {/* Country list */}
+        <aside className="flex max-h-48 flex-shrink-0 flex-col border-b border-parchment-dark md:max-h-none md:w-56 md:border-b-0 md:border-r">
+          <div className="p-3 pb-2">
+            <h2 className="font-fell text-lg tracking-wide text-ink">Clue atlas</h2>
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Find a country"
+              className="mt-2 w-full rounded border border-parchment-dark bg-parchment px-2 py-1 font-cormorant text-sm text-ink placeholder:italic placeholder:text-ink-faded focus:border-brass focus:outline-none"
+            />
+          </div>
+          <div className="min-h-0 flex-1 overflow-y-auto px-3 pb-3">
+            {byRegion.map(([region, regionEntries]) => (
+              <div key={region}>
+                <p className="mb-0.5 mt-2 font-fell text-[10px] tracking-widest text-ink-faded">{region}</p>
+                {regionEntries.map((entry) => {
+                  const picked = countries.includes(entry.country);
+                  return (
+                    <div key={entry.country} className={`flex items-center gap-1 rounded-sm ${picked ? "bg-brass/30" : ""}`}>
+                      <button
+                        onClick={() => setCountries([entry.country])}
+                        className="min-w-0 flex-1 truncate px-1 text-left font-cormorant text-sm text-ink hover:underline"
+                      >
+                        {entry.country}
+                      </button>
+                      <button
+                        onClick={() => setCountries((c) => toggleCompared(c, entry.country))}
+                        title={picked ? `Take ${entry.country} out` : `Compare ${entry.country}`}
+                        aria-pressed={picked}
+                        className="px-1.5 font-courier text-xs text-ink-faded hover:text-ink"
+                      >
+                        {picked ? "−" : "+"}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </aside>
+
+        {/* Gallery */}
+        <main className="min-h-0 flex-1 overflow-y-auto p-4">
+          <div className="mb-3 flex flex-wrap items-center gap-2">
+            <p className="mr-auto font-fell text-base tracking-wide text-ink">
+              {entries.length ? entries.map((entry) => entry.country).join(" · ") : "Pick a country"}
+            </p>
+            {isComparing && (
+              <label className="flex items-center gap-1 font-cormorant text-xs italic text-ink-faded">
+                <input type="checkbox" checked={sharedOnly} onChange={(e) => setSharedOnly(e.target.checked)} className="accent-brass" />
+                Shared clue types only
+              </label>
+            )}
+            {entries.length > 0 && (
+              <button
+                onClick={() => onDrill(entries.map((entry) => entry.country))}
+                className="rounded border-2 border-brass bg-parchment px-3 py-1 font-fell text-sm text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] hover:bg-parchment-dark"
+              >
+                {isComparing ? "Drill these" : "Drill it"}
+              </button>
+            )}
+            <button onClick={onClose} className="font-cormorant text-sm italic text-ink-faded underline">
+              Back to training
+            </button>
+          </div>
+
+          {!entries.length && (
+            <p className="font-cormorant text-sm italic text-ink-faded">
+              Choose a country from the list to see its clues; use + to set up to {MAX_COMPARED} side by side.
+            </p>
+          )}
+
+          {groups.map((group) => (
+            <section key={group.type} className="mb-5">
+              <GroupTitle group={group} count={group.images.length} />
+              <div className="grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-4">
+                {group.images.map((image, idx) => (
+                  <GalleryPhoto key={image.url} image={image} index={idx} sizes={GALLERY_SIZES} />
+                ))}
+              </div>
+            </section>
+          ))}
+
+          {isComparing && !rows.length && (
+            <p className="font-cormorant text-sm italic text-ink-faded">These countries share no clue types.</p>
+          )}
+          {rows.map((row) => (
+            <section key={row.type} className="mb-5">
+              <GroupTitle group={row} />
+              <div className={`grid gap-4 ${COMPARE_COLUMNS[entries.length]}`}>
+                {row.columns.map((images, column) => (
+                  <div key={entries[column].country}>
+                    <p className="mb-1 font-courier text-[11px] text-ink-faded">{entries[column].country}</p>
+                    {images.length ? (
+                      <div className="grid grid-cols-2 gap-2">
+                        {images.map((image, idx) => (
+                          <GalleryPhoto key={image.url} image={image} index={idx} sizes={COMPARE_SIZES} />
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="font-cormorant text-xs italic text-ink-faded">None on file.</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </section>
+          ))}
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+function percent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+// The study map's per-country card: what the dataset holds for it and how well it is known.
+// `row` comes from countryMastery and is null for countries without cards; `onBrowse` is left out mid-game.
+export default function CountryLedger({ name, row, onDrill, onBrowse, onClose }) {
+  return (
+    <div className="absolute right-5 top-20 z-[1000] max-h-[calc(100%-7rem)] w-60 overflow-y-auto rounded border border-parchment-dark bg-parchment p-3 shadow-[2px_4px_12px_rgba(0,0,0,0.3)]">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h3 className="font-fell text-base tracking-wide text-ink">{name}</h3>
+          {row?.region && <p className="font-cormorant text-xs italic text-ink-faded">{row.region}</p>}
+        </div>
+        <button onClick={onClose} aria-label="Close" className="font-courier text-sm text-ink-faded hover:text-ink">×</button>
+      </div>
+
+      {!row ? (
+        <p className="mt-2 font-cormorant text-sm italic text-ink-faded">No cards for this country in the charts yet.</p>
+      ) : (
+        <>
+          <div className="mt-2 space-y-1 font-courier text-xs text-ink">
+            <div className="flex justify-between"><span>Photos</span><span className="font-bold">{row.imageCount}</span></div>
+            <div className="flex justify-between">
+              <span>Accuracy</span>
+              <span className="font-bold">{row.accuracy == null ? "—" : `${row.correct}/${row.answered} · ${percent(row.accuracy)}`}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Cards due</span>
+              <span className="font-bold">{row.due} of {row.cards}{row.seen < row.cards ? ` · ${row.cards - row.seen} unseen` : ""}</span>
+            </div>
+          </div>
+
+          <p className="mb-0.5 mt-3 font-fell text-[10px] tracking-widest text-ink-faded">Clue types</p>
+          <ul className="ruled-lines space-y-0.5 font-courier text-[11px] text-ink">
+            {row.clueTypes.map((type) => (
+              <li key={type.type} className="flex justify-between gap-2">
+                <span className="truncate">{type.label}</span>
+                <span className="whitespace-nowrap">
+                  {type.images} {type.images === 1 ? "photo" : "photos"}
+                  {type.seen && type.due && <span className="ml-1 text-wax-red" title="Review due">●</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="mt-3 flex gap-2">
+            {onBrowse && (
+              <button
+                onClick={onBrowse}
+                className="flex-1 rounded border border-dashed border-brass px-2 py-1 font-cormorant text-sm italic text-ink transition-colors hover:bg-parchment-dark"
+              >
+                Browse clues
+              </button>
+            )}
+            <button
+              onClick={onDrill}
+              className="flex-1 rounded border-2 border-brass bg-parchment px-2 py-1 font-fell text-sm text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] transition-colors hover:bg-parchment-dark"
+            >
+              Drill it
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
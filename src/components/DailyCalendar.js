@@ -0,0 +1,14 @@
+// Four weeks of daily challenges, one square per day; played days are inked in brass.
+export default function DailyCalendar({ weeks, log, today }) {
+  return (
+    <div className="grid grid-cols-7 gap-1" role="img" aria-label="Daily challenges played in the last four weeks">
+      {weeks.flat().map((day) => (
+        <span
+          key={day}
+          title={log[day] ? `${day} · ${log[day].total.toLocaleString("en-US")} pts` : day}
+          className={`h-4 rounded-sm border ${log[day] ? "border-brass bg-brass" : "border-parchment-dark bg-parchment-dark/20"} ${day === today ? "ring-1 ring-ink" : ""}`}
+        />
+      ))}
+    </div>
+  );
+}
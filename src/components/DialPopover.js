@@ -0,0 +1,30 @@
+import { useState } from "react";
+
+// A select-looking button that opens a parchment panel of custom controls.
+// Children may be a function, which receives a callback that closes the panel.
+export default function DialPopover({ label, className, disabled, children }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        className={`${className} truncate text-left disabled:opacity-60`}
+        onClick={() => setIsOpen((o) => !o)}
+        disabled={disabled}
+        aria-expanded={isOpen}
+        title={label}
+      >
+        {label}
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-[602]" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 top-full z-[603] mt-1 max-h-72 w-60 overflow-y-auto rounded-lg border border-parchment-dark bg-parchment p-3 shadow-[2px_4px_12px_rgba(0,0,0,0.3)]">
+            {typeof children === "function" ? children(() => setIsOpen(false)) : children}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
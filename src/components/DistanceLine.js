@@ -0,0 +1,23 @@
+import { Polyline, Tooltip } from "react-leaflet";
+import { formatKm } from "../geo";
+
+const lineStyle = {
+  color: "#5C4A32",
+  weight: 2,
+  opacity: 0.85,
+  dashArray: "6 6",
+};
+
+export default function DistanceLine({ from, to, distanceKm }) {
+  if (!from || !to) return null;
+
+  return (
+    <Polyline positions={[from, to]} pathOptions={lineStyle} interactive={false}>
+      {distanceKm != null && (
+        <Tooltip permanent direction="center" className="font-courier text-xs">
+          {formatKm(distanceKm)}
+        </Tooltip>
+      )}
+    </Polyline>
+  );
+}
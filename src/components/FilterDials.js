@@ -1,12 +1,26 @@
 import { useState } from "react";
+import RegionPicker from "./RegionPicker";
+import ClueTypePicker from "./ClueTypePicker";
 
 export default function FilterDials({
-  regionOptions,
+  regionGroups,
+  activeRegions,
   itemTypeOptions,
   regionLabel,
   itemTypeLabel,
   onRegionChange,
-  onItemTypeChange,
+  typeFilter,
+  onTypeFilterChange,
+  modeOptions,
+  modeLabel,
+  onModeChange,
+  quizOptions,
+  quizLabel,
+  onQuizChange,
+  dueCount,
+  scoringOptions,
+  scoringLabel,
+  onScoringChange,
   isCompactLayout,
 }) {
   const [mobileOpen, setMobileOpen] = useState(false);
@@ -17,31 +31,63 @@ export default function FilterDials({
   const selects = (
     <>
       <div className="flex flex-col gap-1">
-        <label className="font-fell text-[10px] tracking-widest text-parchment-dark">Region</label>
+        <label className="font-fell text-[10px] tracking-widest text-parchment-dark">Quiz</label>
         <select
           className={selectClasses}
-          value={regionLabel}
-          onChange={(e) => onRegionChange(e.target.value)}
-          disabled={regionOptions.length <= 1}
+          value={quizLabel}
+          onChange={(e) => onQuizChange(e.target.value)}
         >
-          {regionOptions.map((r) => (
-            <option key={r} value={r}>{r}</option>
+          {quizOptions.map((m) => (
+            <option key={m} value={m}>{m}</option>
           ))}
         </select>
       </div>
       <div className="flex flex-col gap-1">
-        <label className="font-fell text-[10px] tracking-widest text-parchment-dark">Clue Type</label>
+        <label className="font-fell text-[10px] tracking-widest text-parchment-dark">
+          Mode <span className="font-courier normal-case tracking-normal">· {dueCount} due</span>
+        </label>
         <select
           className={selectClasses}
-          value={itemTypeLabel}
-          onChange={(e) => onItemTypeChange(e.target.value)}
-          disabled={itemTypeOptions.length <= 1}
+          value={modeLabel}
+          onChange={(e) => onModeChange(e.target.value)}
         >
-          {itemTypeOptions.map((t) => (
-            <option key={t} value={t}>{t}</option>
+          {modeOptions.map((m) => (
+            <option key={m} value={m}>{m}</option>
           ))}
         </select>
       </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-fell text-[10px] tracking-widest text-parchment-dark">Scoring</label>
+        <select
+          className={selectClasses}
+          value={scoringLabel}
+          onChange={(e) => onScoringChange(e.target.value)}
+        >
+          {scoringOptions.map((m) => (
+            <option key={m} value={m}>{m}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-fell text-[10px] tracking-widest text-parchment-dark">Region</label>
+        <RegionPicker
+          className={`${selectClasses} md:w-40`}
+          groups={regionGroups}
+          selected={activeRegions}
+          onChange={onRegionChange}
+          label={regionLabel}
+        />
+      </div>
+      <div className="flex flex-col gap-1">
+        <label className="font-fell text-[10px] tracking-widest text-parchment-dark">Clue Type</label>
+        <ClueTypePicker
+          className={`${selectClasses} md:w-40`}
+          options={itemTypeOptions}
+          filter={typeFilter}
+          onChange={onTypeFilterChange}
+          label={itemTypeLabel}
+        />
+      </div>
     </>
   );
 
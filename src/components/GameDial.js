@@ -0,0 +1,92 @@
+import { useState } from "react";
+import DialPopover from "./DialPopover";
+import CopyButton from "./CopyButton";
+import DailyCalendar from "./DailyCalendar";
+
+const buttonClasses =
+  "w-full rounded border-2 border-brass bg-parchment px-3 py-1.5 font-fell text-sm tracking-wide text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] transition-colors hover:bg-parchment-dark";
+
+// The daily challenge, plus custom fixed-length games: how many rounds, and an optional countdown per round.
+export default function GameDial({
+  game,
+  roundOptions,
+  timerOptions,
+  defaultRounds,
+  shareUrl,
+  daily,
+  onStartDaily,
+  onStart,
+  onLeave,
+}) {
+  const [rounds, setRounds] = useState(defaultRounds);
+  const [seconds, setSeconds] = useState(0);
+
+  const fieldClasses = "w-full rounded border border-brass bg-parchment px-2 py-1 font-cormorant text-sm text-ink";
+
+  return (
+    <DialPopover
+      label={game ? (game.daily ? "Daily challenge" : `Game · ${game.rounds} rounds`) : "Play a game"}
+      className="rounded-lg border-2 border-brass bg-parchment px-3 py-1.5 font-cormorant text-sm text-ink md:w-36"
+    >
+      {(close) => (
+        <div className="space-y-2">
+          <div className="space-y-1.5 border-b border-parchment-dark pb-2">
+            <p className="flex justify-between font-fell text-[10px] tracking-widest text-ink-faded">
+              <span>Daily challenge</span>
+              <span className="font-courier normal-case tracking-normal">{daily.streak}-day streak</span>
+            </p>
+            <DailyCalendar weeks={daily.calendar} log={daily.log} today={daily.today} />
+            {daily.played ? (
+              <>
+                <p className="font-cormorant text-xs italic text-ink-faded">
+                  Played today · {daily.played.total.toLocaleString("en-US")} pts. Back tomorrow.
+                </p>
+                {daily.shareText && (
+                  <CopyButton
+                    text={daily.shareText}
+                    label="Copy today's result"
+                    className="w-full font-cormorant text-sm italic text-ink underline"
+                  />
+                )}
+              </>
+            ) : (
+              <button onClick={() => { onStartDaily(); close(); }} className={buttonClasses}>
+                Play today's five
+              </button>
+            )}
+          </div>
+          <label className="block font-fell text-[10px] tracking-widest text-ink-faded">
+            Rounds
+            <select className={fieldClasses} value={rounds} onChange={(e) => setRounds(Number(e.target.value))}>
+              {roundOptions.map((n) => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block font-fell text-[10px] tracking-widest text-ink-faded">
+            Time per round
+            <select className={fieldClasses} value={seconds} onChange={(e) => setSeconds(Number(e.target.value))}>
+              {timerOptions.map((n) => (
+                <option key={n} value={n}>{n ? `${n} seconds` : "No limit"}</option>
+              ))}
+            </select>
+          </label>
+          <p className="font-cormorant text-[11px] italic text-ink-faded">
+            Each extra clue you reveal lowers the round's top score.
+          </p>
+          <button onClick={() => { onStart({ rounds, seconds }); close(); }} className={buttonClasses}>
+            {game ? "Restart" : "Start"}
+          </button>
+          {shareUrl && (
+            <CopyButton text={shareUrl} className="w-full font-cormorant text-sm italic text-ink underline" />
+          )}
+          {game && (
+            <button onClick={() => { onLeave(); close(); }} className="w-full font-cormorant text-sm italic text-ink-faded underline">
+              Leave the game
+            </button>
+          )}
+        </div>
+      )}
+    </DialPopover>
+  );
+}
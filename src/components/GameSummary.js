@@ -0,0 +1,86 @@
+import { assetUrl } from "../utils";
+import { MAX_POINTS } from "../geo";
+import CopyButton from "./CopyButton";
+
+// End-of-game tally: one row per round, plus a way to replay the same seed.
+// The daily can't be replayed; it offers its emoji grid for sharing instead.
+export default function GameSummary({ game, total, shareUrl, shareText, onReplay, onNewGame, onClose }) {
+  const maxTotal = game.rounds * MAX_POINTS;
+
+  return (
+    <div className="fixed inset-0 z-[700] flex items-center justify-center bg-black/50 p-4">
+      <div className="max-h-[85vh] w-full max-w-lg overflow-y-auto rounded border border-parchment-dark bg-parchment p-4 shadow-[4px_6px_20px_rgba(0,0,0,0.5)]">
+        <h2 className="font-fell text-xl tracking-wide text-ink">Expedition log</h2>
+        <p className="font-courier text-sm text-ink">
+          {total.toLocaleString("en-US")} / {maxTotal.toLocaleString("en-US")} pts
+        </p>
+        {game.daily ? (
+          <p className="font-cormorant text-xs italic text-ink-faded">Daily challenge · {game.daily}</p>
+        ) : (
+          <p className="font-cormorant text-xs italic text-ink-faded">
+            Seed <span className="font-courier not-italic">{game.seed}</span>
+            {game.seconds ? ` · ${game.seconds}s per round` : ""}
+          </p>
+        )}
+        {shareText && (
+          <pre className="mt-2 whitespace-pre-wrap font-courier text-sm text-ink">{shareText}</pre>
+        )}
+
+        <ol className="ruled-lines mt-3 space-y-2">
+          {game.results.map((round, idx) => (
+            <li key={idx} className="flex items-center gap-3 border-b border-parchment-dark/50 pb-2">
+              <span className="w-5 font-courier text-xs text-ink-faded">{idx + 1}</span>
+              <div className="flex gap-1">
+                {round.images.map((url) => (
+                  <img key={url} src={assetUrl(url)} alt="" className="h-10 w-10 border-2 border-white object-cover shadow" />
+                ))}
+              </div>
+              <div className="min-w-0 flex-1 font-cormorant text-sm text-ink">
+                <p className="truncate font-bold">{round.correctCountry}</p>
+                <p className={`truncate text-xs italic ${round.correct ? "text-wax-green" : "text-wax-red"}`}>
+                  {round.guess ? `Guessed ${round.guess}` : "No guess"}
+                </p>
+              </div>
+              <span className="font-courier text-xs text-ink">{round.score.toLocaleString("en-US")}</span>
+            </li>
+          ))}
+        </ol>
+
+        <div className="mt-4 flex flex-wrap gap-2">
+          {shareText && (
+            <CopyButton
+              text={shareText}
+              label="Copy result"
+              className="w-full rounded border-2 border-brass bg-parchment px-3 py-1.5 font-fell text-sm text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] hover:bg-parchment-dark"
+            />
+          )}
+          {!game.daily && (
+            <>
+              <button
+                onClick={onReplay}
+                className="flex-1 rounded border-2 border-brass bg-parchment px-3 py-1.5 font-fell text-sm text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] hover:bg-parchment-dark"
+              >
+                Replay this seed
+              </button>
+              <button
+                onClick={onNewGame}
+                className="flex-1 rounded border-2 border-brass bg-parchment px-3 py-1.5 font-fell text-sm text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] hover:bg-parchment-dark"
+              >
+                New game
+              </button>
+            </>
+          )}
+          {shareUrl && (
+            <CopyButton
+              text={shareUrl}
+              className="w-full rounded border border-dashed border-brass px-3 py-1.5 font-cormorant text-sm italic text-ink hover:bg-parchment-dark"
+            />
+          )}
+          <button onClick={onClose} className="w-full font-cormorant text-sm italic text-ink-faded underline">
+            Back to training
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -22,13 +22,17 @@ export default function HelpBadge() {
           <p className="mb-2 font-fell text-xs tracking-wide text-ink">Shortcuts</p>
           <div className="space-y-1 font-cormorant text-xs text-ink-faded">
             <div className="flex justify-between">
-              <span>Next question</span>
+              <span>Next / confirm pin</span>
               <kbd className="rounded border border-parchment-dark bg-parchment-dark/30 px-1 font-courier text-[10px]">Enter</kbd>
             </div>
             <div className="flex justify-between">
-              <span>Reveal clue</span>
+              <span>Reveal clue or hint</span>
               <kbd className="rounded border border-parchment-dark bg-parchment-dark/30 px-1 font-courier text-[10px]">H</kbd>
             </div>
+            <div className="flex justify-between">
+              <span>Pick a choice</span>
+              <kbd className="rounded border border-parchment-dark bg-parchment-dark/30 px-1 font-courier text-[10px]">1–4</kbd>
+            </div>
             <div className="flex justify-between">
               <span>Reset map</span>
               <kbd className="rounded border border-parchment-dark bg-parchment-dark/30 px-1 font-courier text-[10px]">R</kbd>
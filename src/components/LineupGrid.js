@@ -0,0 +1,43 @@
+import CluePhoto from "./CluePhoto";
+
+export const LINEUP_SIZES = "(min-width: 1024px) 160px, (min-width: 640px) 33vw, 50vw";
+
+// Photos of one clue type from several countries; names appear once a pick is made.
+export default function LineupGrid({ images, prompt, onPick, selected, correctCountry, animate = false }) {
+  const answered = Boolean(selected);
+
+  return (
+    <div>
+      <p className="mb-2 text-center font-fell text-sm tracking-wide text-parchment">{prompt}</p>
+      <div className="grid grid-cols-2 gap-2 sm:grid-cols-3 lg:grid-cols-2">
+        {images.map((img, idx) => {
+          const isAnswer = img.country === correctCountry;
+          const isPick = answered && img.code === selected;
+          const ring = !answered
+            ? "ring-brass/0 hover:ring-brass"
+            : isAnswer
+              ? "ring-wax-green"
+              : isPick
+                ? "ring-wax-red"
+                : "ring-transparent opacity-60";
+          return (
+            <button
+              key={`lineup-${img.url}`}
+              onClick={() => onPick(img)}
+              disabled={answered}
+              aria-label={answered ? img.country : `Photo ${idx + 1}`}
+              className={`rounded-sm ring-2 transition-all ${ring} ${answered ? "cursor-default" : "cursor-pointer"}`}
+            >
+              <CluePhoto image={img} index={idx} showLabel={answered} animate={animate} sizes={LINEUP_SIZES} />
+              {answered && (
+                <span className={`mt-1 block text-center font-cormorant text-xs italic ${isAnswer ? "text-green-300" : "text-parchment-dark"}`}>
+                  {img.country}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
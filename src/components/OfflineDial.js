@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useState } from "react";
+import DialPopover from "./DialPopover";
+import { assetUrl } from "../utils";
+import { cacheImages, clearImageCache, countCached, hasCacheStorage, regionImageUrls } from "../offline";
+
+// Saves clue photos for offline practice, a continent at a time. The app and charts are always cached.
+export default function OfflineDial({ dataset, regionGroups, className }) {
+  const [cached, setCached] = useState({});
+  const [progress, setProgress] = useState(null);
+  // Cache storage can be present but refuse every call (private windows in some browsers).
+  const [blocked, setBlocked] = useState(false);
+
+  const urlsFor = useCallback(
+    (region) => regionImageUrls(dataset, (entry) => !region || entry.region === region),
+    [dataset]
+  );
+
+  const fail = (err) => {
+    console.warn(err?.message || err);
+    setProgress(null);
+    setBlocked(true);
+  };
+
+  const refresh = useCallback(async () => {
+    try {
+      const counts = {};
+      for (const { region } of regionGroups) {
+        counts[region] = await countCached(urlsFor(region), assetUrl);
+      }
+      setCached(counts);
+    } catch (err) {
+      console.warn(err?.message || err);
+      setBlocked(true);
+    }
+  }, [regionGroups, urlsFor]);
+
+  useEffect(() => {
+    if (hasCacheStorage()) refresh();
+  }, [refresh]);
+
+  if (!hasCacheStorage()) return null;
+
+  const save = async (region) => {
+    setProgress({ region, done: 0, total: urlsFor(region).length });
+    try {
+      const failed = await cacheImages(urlsFor(region), {
+        toRequest: assetUrl,
+        onProgress: (done, total) => setProgress({ region, done, total }),
+      });
+      setProgress(failed ? { region, failed } : null);
+    } catch (err) {
+      fail(err);
+      return;
+    }
+    refresh();
+  };
+
+  const clear = async () => {
+    try {
+      await clearImageCache();
+    } catch (err) {
+      fail(err);
+      return;
+    }
+    refresh();
+  };
+
+  const total = regionGroups.reduce((sum, { region }) => sum + urlsFor(region).length, 0);
+  const saved = Object.values(cached).reduce((sum, n) => sum + n, 0);
+
+  return (
+    <DialPopover label={`Offline · ${saved}/${total}`} className={className}>
+      <p className="mb-2 font-cormorant text-xs italic text-ink-faded">
+        Save clue photos for practice without a connection.
+      </p>
+      <div className="space-y-1 font-courier text-[11px] text-ink">
+        {regionGroups.map(({ region }) => {
+          const count = urlsFor(region).length;
+          const done = cached[region] || 0;
+          return (
+            <div key={region} className="flex items-center justify-between gap-2">
+              <span className="truncate">{region}</span>
+              <span className="flex items-center gap-2 whitespace-nowrap">
+                {progress?.region === region && progress.total
+                  ? `${progress.done}/${progress.total}`
+                  : `${done}/${count}`}
+                <button
+                  onClick={() => save(region)}
+                  disabled={blocked || Boolean(progress?.total) || done >= count}
+                  className="font-cormorant text-xs italic text-ink underline disabled:no-underline disabled:opacity-50"
+                >
+                  {done >= count ? "Saved" : "Save"}
+                </button>
+              </span>
+            </div>
+          );
+        })}
+      </div>
+      {blocked && (
+        <p className="mt-2 font-cormorant text-xs italic text-wax-red">
+          Couldn't save offline; this browser isn't letting the app store photos.
+        </p>
+      )}
+      {progress?.failed > 0 && (
+        <p className="mt-2 font-cormorant text-xs italic text-wax-red">
+          {progress.failed} photos couldn't be fetched; try again when back online.
+        </p>
+      )}
+      {saved > 0 && !blocked && (
+        <button onClick={clear} className="mt-2 font-cormorant text-xs italic text-ink-faded underline">
+          Clear saved photos
+        </button>
+      )}
+    </DialPopover>
+  );
+}
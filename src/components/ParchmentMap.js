@@ -2,6 +2,9 @@ import { MapContainer, GeoJSON } from "react-leaflet";
 import StatusTooltip from "./StatusTooltip";
 import WaxSeal from "./WaxSeal";
 import InkBlot from "./InkBlot";
+import DistanceLine from "./DistanceLine";
+import PinMarker from "./PinMarker";
+import StudyMapControls from "./StudyMapControls";
 
 const TORN_EDGES = `polygon(
   0.3% 0.8%, 4% 0.2%, 8% 1.1%, 12% 0.4%, 18% 0.9%, 24% 0.1%, 30% 0.7%,
@@ -19,7 +22,6 @@ const TORN_EDGES = `polygon(
 export default function ParchmentMap({
   mapRef,
   worldGeo,
-  question,
   getFeatureStyle,
   onEachCountry,
   statusMessage,
@@ -30,6 +32,20 @@ export default function ParchmentMap({
   blotLatLng,
   selected,
   isCorrect,
+  distanceKm,
+  subdivisionGeo,
+  subdivisionKey,
+  subdivisionsInteractive = false,
+  getSubdivisionStyle,
+  onEachSubdivision,
+  pinpoint = false,
+  pinLatLng,
+  onPinMove,
+  onConfirmPin,
+  studyView = null,
+  onStudyViewChange,
+  studySwatches,
+  children,
 }) {
   const wrapperClasses = [
     "relative min-w-0 overflow-hidden shadow-[4px_6px_20px_rgba(0,0,0,0.5)] transition-[max-height,height,opacity,transform] duration-300 ease-out",
@@ -50,6 +66,20 @@ export default function ParchmentMap({
       {(!isCompactLayout || isMapOpen) && (
         <>
           <StatusTooltip message={statusMessage} />
+          {pinpoint && pinLatLng && !selected && (
+            <button
+              onClick={onConfirmPin}
+              className="absolute bottom-5 left-1/2 z-[1000] -translate-x-1/2 rounded border-2 border-brass bg-parchment px-4 py-1.5 font-fell text-sm text-ink shadow-[1px_2px_4px_rgba(0,0,0,0.3)] transition-colors hover:bg-parchment-dark"
+            >
+              Confirm pin
+            </button>
+          )}
+
+          {onStudyViewChange && (
+            <StudyMapControls view={studyView} onViewChange={onStudyViewChange} swatches={studySwatches} />
+          )}
+          {/* Panels that sit on the chart, e.g. the study map's country ledger */}
+          {children}
 
           <MapContainer
             ref={mapRef}
@@ -60,17 +90,31 @@ export default function ParchmentMap({
             attributionControl={false}
             className="h-full w-full"
             scrollWheelZoom={true}
+            preferCanvas={true}
             style={{ background: "var(--ocean)" }}
           >
+            {/* Mounted once; styles are updated per layer (getFeatureStyle must stay stable) */}
             <GeoJSON
-              key={question?.correctCountry || "init"}
               data={worldGeo}
               style={getFeatureStyle}
               onEachFeature={onEachCountry}
             />
-            {selected && isCorrect && <WaxSeal latLng={sealLatLng} />}
-            {selected && !isCorrect && (
+            {/* Admin-1 outlines; only clickable while the round waits on a subdivision */}
+            {subdivisionGeo && (
+              <GeoJSON
+                key={subdivisionKey}
+                data={subdivisionGeo}
+                style={getSubdivisionStyle}
+                interactive={subdivisionsInteractive}
+                onEachFeature={subdivisionsInteractive ? onEachSubdivision : undefined}
+              />
+            )}
+            {pinpoint && !selected && <PinMarker latLng={pinLatLng} onMove={onPinMove} />}
+            {selected && isCorrect && !pinpoint && <WaxSeal latLng={sealLatLng} />}
+            {/* A pinpoint result always shows how far off the pin was */}
+            {selected && (!isCorrect || pinpoint) && (
               <>
+                {distanceKm != null && <DistanceLine from={blotLatLng} to={sealLatLng} distanceKm={distanceKm} />}
                 <InkBlot latLng={blotLatLng} />
                 <WaxSeal latLng={sealLatLng} />
               </>
@@ -0,0 +1,24 @@
+import { LINEUP_KIND } from "../questions";
+import CluePhoto from "./CluePhoto";
+import { LINEUP_SIZES } from "./LineupGrid";
+
+// Renders the next question's photos hidden, with the sources and sizes the board will use,
+// so the browser fetches the same files it will pick once they're shown.
+export default function PhotoPrefetch({ question }) {
+  if (!question) return null;
+  const lineup = question.kind === LINEUP_KIND;
+  return (
+    <div aria-hidden="true" className="hidden">
+      {question.images.map((image, idx) => (
+        <CluePhoto
+          key={`prefetch-${image.url}-${idx}`}
+          image={image}
+          index={idx}
+          featured={!lineup && idx === 0}
+          sizes={lineup ? LINEUP_SIZES : undefined}
+          eager
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import L from "leaflet";
+import { Marker, useMapEvents } from "react-leaflet";
+
+const pinIcon = L.divIcon({
+  className: "",
+  iconSize: [24, 36],
+  iconAnchor: [12, 34],
+  html: `<div style="
+    width: 24px; height: 36px; position: relative;
+    filter: drop-shadow(1px 2px 2px rgba(0,0,0,0.45));
+  ">
+    <div style="
+      position: absolute; left: 2px; top: 0; width: 20px; height: 20px; border-radius: 50%;
+      background: radial-gradient(circle at 35% 35%, #E8D48A 0%, var(--brass) 55%, #8A7030 100%);
+    "></div>
+    <div style="
+      position: absolute; left: 11px; top: 18px; width: 2px; height: 16px;
+      background: linear-gradient(#5C4A32, #2C1E12);
+    "></div>
+  </div>`,
+});
+
+// Any click on the chart (land or sea) moves the pin there.
+function PinDropper({ onDrop }) {
+  useMapEvents({ click: (e) => onDrop([e.latlng.lat, e.latlng.lng]) });
+  return null;
+}
+
+// A brass pushpin for pinpoint guesses; drag it to fine-tune before confirming.
+export default function PinMarker({ latLng, onMove }) {
+  return (
+    <>
+      <PinDropper onDrop={onMove} />
+      {latLng && (
+        <Marker
+          position={latLng}
+          icon={pinIcon}
+          draggable
+          eventHandlers={{
+            dragend: (e) => {
+              const { lat, lng } = e.target.getLatLng();
+              onMove([lat, lng]);
+            },
+          }}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,40 @@
+import DialPopover from "./DialPopover";
+import { isRegionSelected, toggleRegion } from "../regions";
+
+export default function RegionPicker({ groups, selected, onChange, label, className }) {
+  return (
+    <DialPopover label={label} className={className} disabled={groups.length === 0}>
+      {groups.map((group) => (
+        <div key={group.region} className="mb-2">
+          <label className="flex cursor-pointer items-center gap-2 font-fell text-xs tracking-wide text-ink">
+            <input
+              type="checkbox"
+              className="accent-wax-green"
+              checked={isRegionSelected(selected, group.region)}
+              onChange={() => onChange(toggleRegion(selected, group))}
+            />
+            {group.region}
+          </label>
+          {group.subregions.map((sub) => (
+            <label key={sub} className="ml-5 flex cursor-pointer items-center gap-2 font-cormorant text-sm text-ink-faded">
+              <input
+                type="checkbox"
+                className="accent-wax-green"
+                checked={isRegionSelected(selected, group.region, sub)}
+                onChange={() => onChange(toggleRegion(selected, group, sub))}
+              />
+              {sub}
+            </label>
+          ))}
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([])}
+        disabled={selected.length === 0}
+        className="font-cormorant text-xs italic text-ink-faded underline disabled:opacity-50"
+      >
+        Clear regions
+      </button>
+    </DialPopover>
+  );
+}
@@ -1,6 +1,34 @@
 import { useState } from "react";
+import ConfusionLedger from "./ConfusionLedger";
+import { clueTypeLabel } from "../taxonomy";
 
-export default function StatsEnvelope({ score, answered, streak, regionLabel, itemTypeLabel }) {
+const LIST_LIMIT = 6;
+
+function percent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function SectionTitle({ children }) {
+  return <p className="mb-0.5 mt-2 font-fell text-[10px] tracking-widest text-ink-faded">{children}</p>;
+}
+
+function AccuracyList({ rows, emptyLabel, labelOf = (key) => key }) {
+  if (!rows.length) {
+    return <p className="font-cormorant text-[11px] italic text-ink-faded">{emptyLabel}</p>;
+  }
+  return (
+    <div className="space-y-0.5 font-courier text-[11px] text-ink">
+      {rows.slice(0, LIST_LIMIT).map((row) => (
+        <div key={row.key} className="flex justify-between gap-2">
+          <span className="truncate">{labelOf(row.key)}</span>
+          <span className="whitespace-nowrap">{row.correct}/{row.answered} · <span className="font-bold">{percent(row.accuracy)}</span></span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function StatsEnvelope({ score, answered, streak, points, regionLabel, itemTypeLabel, summary, dataset, onDrill }) {
   const [isOpen, setIsOpen] = useState(false);
   const accuracy = answered ? Math.round((score / answered) * 100) : 0;
 
@@ -8,19 +36,37 @@ export default function StatsEnvelope({ score, answered, streak, regionLabel, it
     <div className="animate-envelope-drop relative w-44 select-none">
       {/* Stats card — slides up from behind envelope */}
       <div
-        className={`absolute bottom-full left-0 w-full rounded-t border border-b-0 border-parchment-dark bg-parchment shadow-[0_-2px_8px_rgba(0,0,0,0.15)] transition-all duration-300 ${
+        className={`absolute bottom-full left-0 z-[500] max-h-[60vh] w-72 overflow-y-auto rounded-t border border-b-0 border-parchment-dark bg-parchment shadow-[0_-2px_8px_rgba(0,0,0,0.15)] transition-all duration-300 ${
           isOpen
             ? "pointer-events-auto translate-y-0 opacity-100"
             : "pointer-events-none translate-y-full opacity-0"
         }`}
       >
         <div className="ruled-lines px-3 py-2">
+          <SectionTitle>This sitting</SectionTitle>
           <div className="space-y-1 font-courier text-xs text-ink">
             <div className="flex justify-between"><span>Score</span><span className="font-bold">{score}</span></div>
             <div className="flex justify-between"><span>Answered</span><span className="font-bold">{answered}</span></div>
             <div className="flex justify-between"><span>Streak</span><span className="font-bold">{streak}</span></div>
             <div className="flex justify-between"><span>Accuracy</span><span className="font-bold">{accuracy}%</span></div>
+            {points != null && (
+              <div className="flex justify-between"><span>Points</span><span className="font-bold">{points.toLocaleString("en-US")}</span></div>
+            )}
+          </div>
+          <div className="my-1.5 border-t border-ink-faded/30" />
+          <SectionTitle>All expeditions</SectionTitle>
+          <div className="space-y-1 font-courier text-xs text-ink">
+            <div className="flex justify-between"><span>Answered</span><span className="font-bold">{summary.answered}</span></div>
+            <div className="flex justify-between"><span>Accuracy</span><span className="font-bold">{percent(summary.accuracy)}</span></div>
+            <div className="flex justify-between"><span>Best streak</span><span className="font-bold">{summary.bestStreak}</span></div>
+            <div className="flex justify-between"><span>Avg. points</span><span className="font-bold">{summary.averagePoints.toLocaleString("en-US")}</span></div>
           </div>
+          <SectionTitle>Weakest countries</SectionTitle>
+          <AccuracyList rows={summary.byCountry} emptyLabel="No answers logged yet." />
+          <SectionTitle>By clue type</SectionTitle>
+          <AccuracyList rows={summary.byType} emptyLabel="No answers logged yet." labelOf={clueTypeLabel} />
+          <SectionTitle>Most confused with</SectionTitle>
+          <ConfusionLedger confusions={summary.confusions} dataset={dataset} onDrill={onDrill} />
           <div className="my-1.5 border-t border-ink-faded/30" />
           <div className="space-y-0.5 font-cormorant text-[11px] italic text-ink-faded">
             <div>Region: {regionLabel}</div>
@@ -0,0 +1,48 @@
+import { ACCURACY_VIEW, DUE_VIEW, MASTERY_BANDS } from "../mastery";
+
+const VIEW_LABELS = { [ACCURACY_VIEW]: "Accuracy", [DUE_VIEW]: "Due reviews" };
+
+// Bottom-left of the chart: turns the study map on, picks what it colours by and keys the colours.
+// `swatches` maps each band to the fill it is drawn with.
+export default function StudyMapControls({ view, onViewChange, swatches }) {
+  return (
+    <div className={`absolute bottom-5 left-5 z-[1000] ${view ? "w-44" : ""} rounded border border-parchment-dark bg-parchment/90 p-2 shadow-[1px_2px_6px_rgba(0,0,0,0.2)] backdrop-blur-sm`}>
+      <button
+        onClick={() => onViewChange(view ? null : ACCURACY_VIEW)}
+        aria-pressed={Boolean(view)}
+        className="w-full rounded border border-brass px-2 py-1 font-fell text-xs tracking-wide text-ink transition-colors hover:bg-parchment-dark"
+      >
+        {view ? "Back to the quiz" : "Study map"}
+      </button>
+      {view && (
+        <>
+          <div className="mt-2 flex gap-1">
+            {Object.keys(VIEW_LABELS).map((key) => (
+              <button
+                key={key}
+                onClick={() => onViewChange(key)}
+                aria-pressed={view === key}
+                className={`flex-1 rounded-sm px-1 py-0.5 font-cormorant text-xs ${
+                  view === key ? "bg-brass text-ink" : "text-ink-faded hover:bg-brass/20"
+                }`}
+              >
+                {VIEW_LABELS[key]}
+              </button>
+            ))}
+          </div>
+          <div className="mt-2 space-y-0.5 font-cormorant text-[11px] text-ink">
+            {MASTERY_BANDS[view].map(({ band, label }) => (
+              <div key={band} className="flex items-center gap-1.5">
+                <span
+                  className="inline-block h-2.5 w-2.5 flex-shrink-0 rounded-sm border border-ink-faded/60"
+                  style={{ background: swatches[band] }}
+                />
+                <span>{label}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
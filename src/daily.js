@@ -0,0 +1,68 @@
+import { MAX_POINTS } from "./geo";
+import { loadStored, saveStored } from "./utils";
+
+/**
+ * Daily challenge: everyone gets the same five questions for a UTC date, seeded from the date
+ * itself, with one attempt each. Attempts are logged locally by date for the streak calendar.
+ */
+const STORAGE_KEY = "geocards.daily.v1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DAILY_ROUNDS = 5;
+
+export function dailyKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+export function dailySeed(key) {
+  return `daily-${key}`;
+}
+
+export function loadDailyLog() {
+  const stored = loadStored(STORAGE_KEY, {});
+  return stored && typeof stored === "object" ? stored : {};
+}
+
+export function saveDailyLog(log) {
+  saveStored(STORAGE_KEY, log);
+}
+
+export function recordDaily(log, key, results) {
+  return {
+    ...log,
+    [key]: {
+      total: results.reduce((sum, round) => sum + round.score, 0),
+      rounds: results.map((round) => ({ correct: round.correct, score: round.score })),
+    },
+  };
+}
+
+// Consecutive days played, ending today -- or yesterday, so the streak survives until today is played.
+export function dailyStreak(log, now = Date.now()) {
+  let day = log[dailyKey(now)] ? now : now - DAY_MS;
+  let streak = 0;
+  while (log[dailyKey(day)]) {
+    streak += 1;
+    day -= DAY_MS;
+  }
+  return streak;
+}
+
+// The last `weeks` weeks as rows of seven date keys, oldest first, ending today.
+export function calendarDays(now = Date.now(), weeks = 4) {
+  const days = Array.from({ length: weeks * 7 }, (_, i) => dailyKey(now - (weeks * 7 - 1 - i) * DAY_MS));
+  return Array.from({ length: weeks }, (_, w) => days.slice(w * 7, w * 7 + 7));
+}
+
+function roundEmoji(round) {
+  const share = round.score / MAX_POINTS;
+  if (round.correct || share >= 0.8) return "🟩";
+  if (share >= 0.4) return "🟨";
+  if (share > 0) return "🟧";
+  return "🟥";
+}
+
+export function dailyShareText(key, entry) {
+  const grid = entry.rounds.map(roundEmoji).join("");
+  const max = DAILY_ROUNDS * MAX_POINTS;
+  return `GeoCards Daily ${key}\n${grid}\n${entry.total.toLocaleString("en-US")} / ${max.toLocaleString("en-US")}`;
+}
@@ -0,0 +1,35 @@
+import { calendarDays, dailyKey, dailyShareText, dailyStreak, recordDaily } from "./daily";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 2, 10, 15);
+
+test("days are keyed by UTC date", () => {
+  expect(dailyKey(NOW)).toBe("2025-03-10");
+  expect(dailyKey(Date.UTC(2025, 2, 10, 23, 59))).toBe("2025-03-10");
+});
+
+test("streaks count back from today, or from yesterday before today is played", () => {
+  const log = { "2025-03-08": {}, "2025-03-09": {}, "2025-03-06": {} };
+  expect(dailyStreak(log, NOW)).toBe(2);
+  expect(dailyStreak({ ...log, "2025-03-10": {} }, NOW)).toBe(3);
+  expect(dailyStreak(log, NOW + 2 * DAY_MS)).toBe(0);
+});
+
+test("results share as an emoji grid", () => {
+  const results = [
+    { correct: true, score: 5000 },
+    { correct: false, score: 3000 },
+    { correct: false, score: 400 },
+    { correct: false, score: 0 },
+    { correct: true, score: 3000 },
+  ];
+  const log = recordDaily({}, "2025-03-10", results);
+  expect(dailyShareText("2025-03-10", log["2025-03-10"])).toBe("GeoCards Daily 2025-03-10\n🟩🟨🟧🟥🟩\n11,400 / 25,000");
+});
+
+test("the calendar ends today", () => {
+  const weeks = calendarDays(NOW, 2);
+  expect(weeks).toHaveLength(2);
+  expect(weeks[1][6]).toBe("2025-03-10");
+  expect(weeks[0][0]).toBe("2025-02-25");
+});
@@ -0,0 +1,59 @@
+import { canonicalType, clueCategory, clueTypeLabel, compareCategories } from "./taxonomy";
+import { deriveImageName } from "./utils";
+
+/**
+ * Study gallery: a country's photos grouped by clue type, and the same groups lined up across
+ * two or three countries for comparison. Groups follow the taxonomy's category order.
+ */
+export const MAX_COMPARED = 3;
+
+function byTaxonomy(a, b) {
+  return compareCategories(a.category, b.category) || a.label.localeCompare(b.label);
+}
+
+// Entries may spell a type differently per item ("bollard", "Bollard"); they share one group.
+export function countryGallery(entry) {
+  const groups = new Map();
+  (entry?.items || []).forEach((item) => {
+    if (!item || typeof item.type !== "string" || !Array.isArray(item.images)) return;
+    const type = canonicalType(item.type);
+    const group = groups.get(type) || {
+      type,
+      label: clueTypeLabel(item.type),
+      category: item.category || clueCategory(item.type),
+      images: [],
+    };
+    item.images.forEach((url) => {
+      group.images.push({
+        url,
+        type: item.type,
+        name: deriveImageName(url) || clueTypeLabel(item.type),
+        meta: item.meta?.[url],
+        media: item.media?.[url],
+      });
+    });
+    if (group.images.length) groups.set(type, group);
+  });
+  return Array.from(groups.values()).sort(byTaxonomy);
+}
+
+// One row per clue type any of the entries has; `columns[i]` holds entries[i]'s photos of it.
+export function compareGalleries(entries) {
+  const rows = new Map();
+  entries.forEach((entry, column) => {
+    countryGallery(entry).forEach(({ images, ...group }) => {
+      const row = rows.get(group.type) || { ...group, columns: entries.map(() => []) };
+      row.columns[column] = images;
+      rows.set(group.type, row);
+    });
+  });
+  return Array.from(rows.values())
+    .map((row) => ({ ...row, shared: row.columns.every((images) => images.length > 0) }))
+    .sort(byTaxonomy);
+}
+
+// Adds a country to the comparison, or takes it out again; the oldest pick drops off past the limit.
+export function toggleCompared(countries, country) {
+  if (countries.includes(country)) return countries.filter((c) => c !== country);
+  return [...countries, country].slice(-MAX_COMPARED);
+}
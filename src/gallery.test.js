@@ -0,0 +1,45 @@
+import { compareGalleries, countryGallery, toggleCompared } from "./gallery";
+
+const latvia = {
+  country: "Latvia",
+  items: [
+    { type: "pole", images: ["/images/Latvia/pole.jpg"] },
+    {
+      type: "bollard",
+      images: ["/images/Latvia/bollard.jpg"],
+      meta: { "/images/Latvia/bollard.jpg": { tell: "Red reflector" } },
+    },
+    { type: "Bollard", images: ["/images/Latvia/bollard (2).jpg"] },
+    { type: "plate", images: [] },
+  ],
+};
+const estonia = { country: "Estonia", items: [{ type: "bollard", images: ["/images/Estonia/bollard.jpg"] }] };
+
+test("countryGallery groups photos by canonical type with their labels and notes", () => {
+  const groups = countryGallery(latvia);
+  expect(groups.map((group) => group.images.length).sort()).toEqual([1, 2]);
+
+  const bollards = groups.find((group) => group.images.length === 2);
+  expect(bollards.images.map((img) => img.url)).toEqual(["/images/Latvia/bollard.jpg", "/images/Latvia/bollard (2).jpg"]);
+  expect(bollards.images[0].meta).toEqual({ tell: "Red reflector" });
+  expect(bollards.images[1].name).toBe(bollards.images[0].name);
+  expect(countryGallery(undefined)).toEqual([]);
+});
+
+test("compareGalleries lines up each clue type across countries", () => {
+  const rows = compareGalleries([latvia, estonia]);
+  expect(rows).toHaveLength(2);
+
+  const bollards = rows.find((row) => row.shared);
+  expect(bollards.columns.map((images) => images.length)).toEqual([2, 1]);
+  const poles = rows.find((row) => !row.shared);
+  expect(poles.columns.map((images) => images.length)).toEqual([1, 0]);
+});
+
+test("toggleCompared keeps at most three countries", () => {
+  let picked = toggleCompared([], "Latvia");
+  picked = toggleCompared(picked, "Estonia");
+  picked = toggleCompared(picked, "Lithuania");
+  expect(toggleCompared(picked, "Finland")).toEqual(["Estonia", "Lithuania", "Finland"]);
+  expect(toggleCompared(picked, "Estonia")).toEqual(["Latvia", "Lithuania"]);
+});
@@ -0,0 +1,37 @@
+import { MAX_POINTS } from "./geo";
+
+/**
+ * Clue-weighted scoring: an answer is worth up to MAX_POINTS, each extra clue photo
+ * knocks REVEAL_PENALTY off that ceiling and each hint tier HINT_PENALTY.
+ * When a question also asks for the subdivision, missing it keeps SUBDIVISION_PARTIAL of the score.
+ * Fixed-length games add up these round scores.
+ */
+export const DEFAULT_ROUNDS = 5;
+export const ROUND_OPTIONS = [3, 5, 10];
+// Seconds per round; 0 means no countdown.
+export const TIMER_OPTIONS = [0, 30, 60, 90];
+const REVEAL_PENALTY = 0.2;
+const HINT_PENALTY = 0.15;
+export const SUBDIVISION_PARTIAL = 0.5;
+
+export function roundMaxScore(cluesUsed, hintsUsed = 0) {
+  const extra = Math.max(0, cluesUsed - 1);
+  return Math.round(MAX_POINTS * Math.max(0, 1 - extra * REVEAL_PENALTY - hintsUsed * HINT_PENALTY));
+}
+
+// `points` is the distance score when distance scoring is on; otherwise a correct answer earns the full round.
+// `subdivisionCorrect` is null unless the question had a subdivision stage.
+export function roundScore({ correct, points = null, cluesUsed, hintsUsed = 0, subdivisionCorrect = null }) {
+  const base = points == null ? (correct ? MAX_POINTS : 0) : points;
+  const credit = subdivisionCorrect === false ? SUBDIVISION_PARTIAL : 1;
+  return Math.round((base * credit * roundMaxScore(cluesUsed, hintsUsed)) / MAX_POINTS);
+}
+
+export function gameTotal(results) {
+  return results.reduce((sum, round) => sum + round.score, 0);
+}
+
+export function formatCountdown(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
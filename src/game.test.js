@@ -0,0 +1,38 @@
+import { formatCountdown, roundMaxScore, roundScore } from "./game";
+import { createRandom } from "./random";
+
+test("each extra clue lowers the round's ceiling", () => {
+  expect(roundMaxScore(1)).toBe(5000);
+  expect(roundMaxScore(2)).toBe(4000);
+  expect(roundMaxScore(3)).toBe(3000);
+  expect(roundMaxScore(3, 2)).toBe(1500);
+  expect(roundMaxScore(3, 3)).toBe(750);
+});
+
+test("round scores scale right-or-wrong and distance points by the ceiling", () => {
+  expect(roundScore({ correct: true, cluesUsed: 1 })).toBe(5000);
+  expect(roundScore({ correct: false, cluesUsed: 1 })).toBe(0);
+  expect(roundScore({ correct: false, points: 2500, cluesUsed: 2 })).toBe(2000);
+  expect(roundScore({ correct: true, cluesUsed: 3, hintsUsed: 1 })).toBe(2250);
+});
+
+test("missing the subdivision keeps partial credit for the country", () => {
+  expect(roundScore({ correct: true, cluesUsed: 1, subdivisionCorrect: true })).toBe(5000);
+  expect(roundScore({ correct: true, cluesUsed: 1, subdivisionCorrect: false })).toBe(2500);
+  expect(roundScore({ correct: true, cluesUsed: 2, subdivisionCorrect: false })).toBe(2000);
+});
+
+test("the same seed replays the same sequence", () => {
+  const a = createRandom("k3v9qz");
+  const b = createRandom("k3v9qz");
+  const c = createRandom("other");
+  const first = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(first);
+  expect(c()).not.toBe(first[0]);
+  first.forEach((n) => expect(n).toBeGreaterThanOrEqual(0));
+});
+
+test("countdowns read as minutes and seconds", () => {
+  expect(formatCountdown(61000)).toBe("1:01");
+  expect(formatCountdown(-5)).toBe("0:00");
+});
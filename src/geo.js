@@ -0,0 +1,110 @@
+/**
+ * Geometry helpers for distance scoring.
+ * Centroids come from the largest polygon of each feature so overseas territories
+ * (e.g. French Guiana inside France's MultiPolygon) don't drag the point into the ocean.
+ */
+const EARTH_RADIUS_KM = 6371;
+export const MAX_POINTS = 5000;
+// Same falloff GeoGuessr uses on the world map: 5000 * e^(-10 * d / 14916.862 km).
+const SCORE_SCALE_KM = 1491.6862;
+
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area / 2;
+}
+
+function ringCentroid(ring) {
+  const area = ringArea(ring);
+  if (!area) {
+    const [sx, sy] = ring.reduce(([x, y], p) => [x + p[0], y + p[1]], [0, 0]);
+    return [sx / ring.length, sy / ring.length];
+  }
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const f = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    cx += (ring[j][0] + ring[i][0]) * f;
+    cy += (ring[j][1] + ring[i][1]) * f;
+  }
+  return [cx / (6 * area), cy / (6 * area)];
+}
+
+// Returns [lat, lng] or null.
+export function geometryCentroid(geometry) {
+  if (!geometry) return null;
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates]
+    : geometry.type === "MultiPolygon" ? geometry.coordinates
+    : [];
+  let best = null;
+  let bestArea = -1;
+  polygons.forEach((polygon) => {
+    const outer = polygon[0];
+    if (!outer || outer.length < 3) return;
+    const area = Math.abs(ringArea(outer));
+    if (area > bestArea) {
+      bestArea = area;
+      best = outer;
+    }
+  });
+  if (!best) return null;
+  const [lng, lat] = ringCentroid(best);
+  return [lat, lng];
+}
+
+export function buildCentroidIndex(worldGeo, keyOf = (feature) => feature?.id) {
+  const index = new Map();
+  (worldGeo?.features || []).forEach((feature) => {
+    const key = keyOf(feature);
+    const centroid = geometryCentroid(feature.geometry);
+    if (key && centroid) index.set(key, centroid);
+  });
+  return index;
+}
+
+// Even-odd test over every ring, so holes (lakes, enclaves) fall outside.
+function ringsContain(rings, lng, lat) {
+  let inside = false;
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  });
+  return inside;
+}
+
+export function pointInGeometry([lat, lng], geometry) {
+  if (!geometry) return false;
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates]
+    : geometry.type === "MultiPolygon" ? geometry.coordinates
+    : [];
+  return polygons.some((rings) => ringsContain(rings, lng, lat));
+}
+
+// The feature under a point, e.g. the country a pin was dropped in; null over the sea.
+export function featureAt(worldGeo, latLng) {
+  return (worldGeo?.features || []).find((feature) => pointInGeometry(latLng, feature.geometry)) || null;
+}
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export function haversineKm([lat1, lng1], [lat2, lng2]) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+export function distanceScore(km) {
+  return Math.round(MAX_POINTS * Math.exp(-km / SCORE_SCALE_KM));
+}
+
+export function formatKm(km) {
+  return `${Math.round(km).toLocaleString("en-US")} km`;
+}
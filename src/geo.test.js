@@ -0,0 +1,50 @@
+import world from "../public/data/world.json";
+import { buildCentroidIndex, distanceScore, featureAt, geometryCentroid, haversineKm, MAX_POINTS, pointInGeometry } from "./geo";
+
+test("haversine distance between known points", () => {
+  // Riga -> Vilnius is roughly 260 km.
+  expect(haversineKm([56.9496, 24.1052], [54.6872, 25.2797])).toBeCloseTo(262, -1);
+  expect(haversineKm([10, 10], [10, 10])).toBe(0);
+});
+
+test("score decays from 5000 with distance", () => {
+  expect(distanceScore(0)).toBe(MAX_POINTS);
+  expect(distanceScore(250)).toBeGreaterThan(4000);
+  expect(distanceScore(6000)).toBeLessThan(100);
+});
+
+test("centroid uses the largest polygon of a MultiPolygon", () => {
+  const centroid = geometryCentroid({
+    type: "MultiPolygon",
+    coordinates: [
+      [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+      [[[10, 10], [20, 10], [20, 20], [10, 20], [10, 10]]],
+    ],
+  });
+  expect(centroid[0]).toBeCloseTo(15);
+  expect(centroid[1]).toBeCloseTo(15);
+});
+
+test("France's centroid stays in Europe", () => {
+  const [lat, lng] = buildCentroidIndex(world).get("FR");
+  expect(lat).toBeGreaterThan(42);
+  expect(lng).toBeGreaterThan(-5);
+});
+
+test("points inside a polygon's hole are outside it", () => {
+  const square = {
+    type: "Polygon",
+    coordinates: [
+      [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+      [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]],
+    ],
+  };
+  expect(pointInGeometry([2, 2], square)).toBe(true);
+  expect(pointInGeometry([5, 5], square)).toBe(false);
+  expect(pointInGeometry([5, 12], square)).toBe(false);
+});
+
+test("finds the country a pin was dropped in", () => {
+  expect(featureAt(world, [56.9496, 24.1052])?.id).toBe("LV");
+  expect(featureAt(world, [0, -30])).toBeNull();
+});
@@ -0,0 +1,26 @@
+/**
+ * Hint tiers, offered once every clue photo is on the board. Each tier costs points
+ * (see roundMaxScore) and is stored on the answer record as `hintsUsed`.
+ */
+export const HINT_TIERS = ["continent", "candidates", "clueTypes"];
+export const CANDIDATE_COUNT = 5;
+
+const OFFERS = {
+  continent: "Hint: the continent",
+  candidates: "Hint: a shortlist on the map",
+  clueTypes: "Hint: name the clue types",
+};
+
+export function hintOffer(hintsUsed) {
+  return OFFERS[HINT_TIERS[hintsUsed]] || null;
+}
+
+// Hint lines for the board, one per tier taken.
+export function describeHints(hintsUsed, { region, candidateCount, clueTypes }) {
+  const lines = {
+    continent: () => `Continent: ${region || "unknown"}`,
+    candidates: () => `It's one of the ${candidateCount} countries shaded on the map`,
+    clueTypes: () => `Clue types: ${clueTypes.join(", ")}`,
+  };
+  return HINT_TIERS.slice(0, hintsUsed).map((tier) => lines[tier]());
+}
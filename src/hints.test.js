@@ -0,0 +1,18 @@
+import { HINT_TIERS, describeHints, hintOffer } from "./hints";
+
+const details = { region: "Europe", candidateCount: 5, clueTypes: ["Bollard", "Utility Pole"] };
+
+test("each tier is offered in turn until they run out", () => {
+  expect(hintOffer(0)).toBe("Hint: the continent");
+  expect(hintOffer(1)).toBe("Hint: a shortlist on the map");
+  expect(hintOffer(2)).toBe("Hint: name the clue types");
+  expect(hintOffer(HINT_TIERS.length)).toBeNull();
+});
+
+test("the board lists one line per tier taken", () => {
+  expect(describeHints(0, details)).toEqual([]);
+  expect(describeHints(1, details)).toEqual(["Continent: Europe"]);
+  expect(describeHints(2, details)[1]).toBe("It's one of the 5 countries shaded on the map");
+  expect(describeHints(3, details)[2]).toBe("Clue types: Bollard, Utility Pole");
+  expect(describeHints(1, { ...details, region: null })).toEqual(["Continent: unknown"]);
+});
@@ -0,0 +1,123 @@
+import { canonicalType } from "./taxonomy";
+import { loadStored, saveStored } from "./utils";
+
+/**
+ * Answer history -- one record per guess, persisted locally so stats survive reloads.
+ * Oldest records are dropped once the log reaches MAX_RECORDS to stay within localStorage limits.
+ */
+const STORAGE_KEY = "geocards.history.v1";
+export const MAX_RECORDS = 5000;
+
+export function loadHistory() {
+  const stored = loadStored(STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+export function saveHistory(history) {
+  saveStored(STORAGE_KEY, history.slice(-MAX_RECORDS));
+}
+
+export function createAnswerRecord(question, guess, details, now = Date.now()) {
+  const {
+    guessCode = null, correct, cluesRevealed, hintsUsed = 0, distanceKm = null, points = null, score = null,
+    subdivisionGuess = null, subdivisionCorrect = null,
+  } = details;
+  // A lineup shows every photo at once; only the named country's photo was the clue.
+  const shown = question.kind === "lineup"
+    ? question.images.filter((img) => img.country === question.correctCountry)
+    : question.images.slice(0, cluesRevealed);
+  return {
+    timestamp: now,
+    correctCountry: question.correctCountry,
+    correctCode: question.correctCode || null,
+    guess,
+    guessCode,
+    correct: correct ?? guess === question.correctCountry,
+    clueTypes: shown.map((img) => img.type),
+    images: shown.map((img) => img.url),
+    cluesRevealed,
+    hintsUsed,
+    distanceKm,
+    points,
+    score,
+    // Only set when the question asked for the subdivision and the country was right.
+    subdivision: question.subdivision || null,
+    subdivisionGuess,
+    subdivisionCorrect,
+  };
+}
+
+function tally(map, key, correct) {
+  const row = map.get(key) || { key, answered: 0, correct: 0 };
+  row.answered += 1;
+  if (correct) row.correct += 1;
+  map.set(key, row);
+}
+
+function withAccuracy(rows) {
+  return rows
+    .map((row) => ({ ...row, accuracy: row.answered ? row.correct / row.answered : 0 }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.answered - a.answered || a.key.localeCompare(b.key));
+}
+
+export function summarizeHistory(history) {
+  const byCountry = new Map();
+  const byType = new Map();
+  const confusions = new Map();
+  let correct = 0;
+  let streak = 0;
+  let bestStreak = 0;
+  let pointsTotal = 0;
+  let pointsAnswered = 0;
+
+  (history || []).forEach((record) => {
+    if (record.correct) {
+      correct += 1;
+      streak += 1;
+      bestStreak = Math.max(bestStreak, streak);
+    } else {
+      streak = 0;
+    }
+    // A pin dropped at sea is a miss without a country to be confused with.
+    if (!record.correct && record.guess) {
+      const key = `${record.correctCountry}→${record.guess}`;
+      const pair = confusions.get(key) || { correct: record.correctCountry, guessed: record.guess, count: 0 };
+      pair.count += 1;
+      confusions.set(key, pair);
+    }
+    // `score` is the clue-weighted result; older records only have raw distance points.
+    const earned = typeof record.score === "number" ? record.score : record.points;
+    if (typeof earned === "number") {
+      pointsTotal += earned;
+      pointsAnswered += 1;
+    }
+    tally(byCountry, record.correctCountry, record.correct);
+    new Set((record.clueTypes || []).map(canonicalType)).forEach((type) => {
+      tally(byType, type, record.correct);
+    });
+  });
+
+  const answered = (history || []).length;
+  return {
+    answered,
+    correct,
+    accuracy: answered ? correct / answered : 0,
+    bestStreak,
+    currentStreak: streak,
+    averagePoints: pointsAnswered ? Math.round(pointsTotal / pointsAnswered) : 0,
+    byCountry: withAccuracy(Array.from(byCountry.values())),
+    byType: withAccuracy(Array.from(byType.values())),
+    confusions: Array.from(confusions.values()).sort(
+      (a, b) => b.count - a.count || a.correct.localeCompare(b.correct)
+    ),
+  };
+}
+
+// The countries of a confusion pair that still have cards; null when fewer than two do,
+// since older records can name countries the dataset no longer holds.
+export function drillablePair(pair, dataset) {
+  const countries = [pair.correct, pair.guessed].filter((country) =>
+    (dataset || []).some((entry) => entry.country === country)
+  );
+  return countries.length >= 2 ? countries : null;
+}
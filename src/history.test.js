@@ -0,0 +1,90 @@
+import { createAnswerRecord, drillablePair, summarizeHistory } from "./history";
+
+const question = {
+  correctCountry: "Latvia",
+  correctCode: "LV",
+  images: [
+    { url: "/images/Latvia/bollard (1).png", type: "bollard" },
+    { url: "/images/Latvia/pole (1).png", type: "pole" },
+    { url: "/images/Latvia/sign (1).png", type: "sign" },
+  ],
+};
+
+test("records only the clues that were revealed", () => {
+  const record = createAnswerRecord(
+    question,
+    "Lithuania",
+    { guessCode: "LT", correct: false, cluesRevealed: 2, hintsUsed: 1, distanceKm: 240, points: 4255, score: 2765 },
+    1000
+  );
+  expect(record).toEqual({
+    timestamp: 1000,
+    correctCountry: "Latvia",
+    correctCode: "LV",
+    guess: "Lithuania",
+    guessCode: "LT",
+    correct: false,
+    clueTypes: ["bollard", "pole"],
+    images: ["/images/Latvia/bollard (1).png", "/images/Latvia/pole (1).png"],
+    cluesRevealed: 2,
+    hintsUsed: 1,
+    distanceKm: 240,
+    points: 4255,
+    score: 2765,
+    subdivision: null,
+    subdivisionGuess: null,
+    subdivisionCorrect: null,
+  });
+});
+
+test("lineups record the named country's photo as the clue", () => {
+  const lineup = {
+    kind: "lineup",
+    correctCountry: "Latvia",
+    correctCode: "LV",
+    clueType: "bollard",
+    images: [
+      { url: "/images/Estonia/bollard (1).png", type: "bollard", country: "Estonia", code: "EE" },
+      { url: "/images/Latvia/bollard (2).png", type: "bollard", country: "Latvia", code: "LV" },
+      { url: "/images/Lithuania/bollard (1).png", type: "bollard", country: "Lithuania", code: "LT" },
+      { url: "/images/Poland/bollard (1).png", type: "bollard", country: "Poland", code: "PL" },
+    ],
+  };
+  const record = createAnswerRecord(lineup, "Estonia", { guessCode: "EE", correct: false, cluesRevealed: 1 });
+  expect(record.clueTypes).toEqual(["bollard"]);
+  expect(record.images).toEqual(["/images/Latvia/bollard (2).png"]);
+});
+
+test("summarizes accuracy, streaks and confusions", () => {
+  const history = [
+    createAnswerRecord(question, "Latvia", { cluesRevealed: 1 }),
+    createAnswerRecord(question, "Latvia", { cluesRevealed: 1 }),
+    createAnswerRecord(question, "Lithuania", { cluesRevealed: 3 }),
+    createAnswerRecord(question, "Lithuania", { cluesRevealed: 1 }),
+    createAnswerRecord(question, "Latvia", { cluesRevealed: 2 }),
+  ];
+  const summary = summarizeHistory(history);
+  expect(summary.answered).toBe(5);
+  expect(summary.accuracy).toBeCloseTo(0.6);
+  expect(summary.bestStreak).toBe(2);
+  expect(summary.currentStreak).toBe(1);
+  expect(summary.confusions).toEqual([{ correct: "Latvia", guessed: "Lithuania", count: 2 }]);
+  expect(summary.byType.find((row) => row.key === "sign")).toMatchObject({ answered: 1, correct: 0 });
+});
+
+test("average points prefer the clue-weighted score over raw distance points", () => {
+  const { score, ...legacy } = createAnswerRecord(question, "Latvia", { cluesRevealed: 1, points: 3000 });
+  const history = [
+    createAnswerRecord(question, "Latvia", { cluesRevealed: 1, points: 5000, score: 5000 }),
+    createAnswerRecord(question, "Lithuania", { cluesRevealed: 3, points: 4000, score: 1000 }),
+    legacy,
+  ];
+  expect(summarizeHistory(history).averagePoints).toBe(3000);
+});
+
+test("confusion pairs are only drilled while both countries have cards", () => {
+  const dataset = [{ country: "Latvia" }, { country: "Lithuania" }];
+  expect(drillablePair({ correct: "Latvia", guessed: "Lithuania", count: 2 }, dataset)).toEqual(["Latvia", "Lithuania"]);
+  expect(drillablePair({ correct: "Latvia", guessed: "Atlantis", count: 1 }, dataset)).toBeNull();
+  expect(drillablePair({ correct: "Latvia", guessed: "Lithuania", count: 1 }, null)).toBeNull();
+});
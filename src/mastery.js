@@ -0,0 +1,84 @@
+import { canonicalType, clueTypeLabel } from "./taxonomy";
+import { cardKey, isDue } from "./spacedRepetition";
+
+/**
+ * Per-country mastery for the study map: what data.json holds for each country, how the
+ * answer history rates it and where its review cards stand. Rows are keyed by ISO code;
+ * countries without cards have no row and are drawn greyed out.
+ */
+export const ACCURACY_VIEW = "accuracy";
+export const DUE_VIEW = "due";
+const WEAK_ACCURACY = 0.5;
+const STRONG_ACCURACY = 0.8;
+
+// Bands in legend order, per view.
+export const MASTERY_BANDS = {
+  [ACCURACY_VIEW]: [
+    { band: "strong", label: "80% or better" },
+    { band: "shaky", label: "50–79%" },
+    { band: "weak", label: "Under 50%" },
+    { band: "untested", label: "Not answered yet" },
+    { band: "uncharted", label: "No cards" },
+  ],
+  [DUE_VIEW]: [
+    { band: "resting", label: "Nothing due" },
+    { band: "new", label: "Unseen cards only" },
+    { band: "due", label: "Reviews due" },
+    { band: "uncharted", label: "No cards" },
+  ],
+};
+
+// `byCountry` is summarizeHistory's per-country tally, keyed by country name.
+export function countryMastery(dataset, { byCountry = [], schedule = {}, now = Date.now() } = {}) {
+  const tallies = new Map(byCountry.map((row) => [row.key, row]));
+  const rows = new Map();
+  (dataset || []).forEach((entry) => {
+    if (!entry.code) return;
+    const types = new Map();
+    let imageCount = 0;
+    (entry.items || []).forEach((item) => {
+      if (!item || typeof item.type !== "string") return;
+      const key = cardKey(entry.country, item.type);
+      const images = (item.images || []).length;
+      imageCount += images;
+      const type = types.get(key) || {
+        type: canonicalType(item.type),
+        label: clueTypeLabel(item.type),
+        images: 0,
+        seen: Boolean(schedule[key]),
+        due: isDue(schedule[key], now),
+      };
+      type.images += images;
+      types.set(key, type);
+    });
+    if (!types.size) return;
+    const clueTypes = Array.from(types.values()).sort((a, b) => a.label.localeCompare(b.label));
+    const tally = tallies.get(entry.country);
+    rows.set(entry.code, {
+      code: entry.code,
+      country: entry.country,
+      region: entry.region || "",
+      clueTypes,
+      imageCount,
+      answered: tally?.answered || 0,
+      correct: tally?.correct || 0,
+      accuracy: tally?.answered ? tally.correct / tally.answered : null,
+      cards: clueTypes.length,
+      seen: clueTypes.filter((type) => type.seen).length,
+      // Reviewed cards whose interval has run out; unseen cards are counted apart.
+      due: clueTypes.filter((type) => type.seen && type.due).length,
+    });
+  });
+  return rows;
+}
+
+export function masteryBand(row, view) {
+  if (!row) return "uncharted";
+  if (view === DUE_VIEW) {
+    if (row.due) return "due";
+    return row.seen < row.cards ? "new" : "resting";
+  }
+  if (row.accuracy == null) return "untested";
+  if (row.accuracy < WEAK_ACCURACY) return "weak";
+  return row.accuracy < STRONG_ACCURACY ? "shaky" : "strong";
+}
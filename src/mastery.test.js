@@ -0,0 +1,54 @@
+import { ACCURACY_VIEW, DUE_VIEW, countryMastery, masteryBand } from "./mastery";
+import { reviewAnswer } from "./spacedRepetition";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 0, 1);
+
+const dataset = [
+  {
+    country: "Latvia",
+    code: "LV",
+    region: "Europe",
+    items: [
+      { type: "bollard", images: ["a", "b"] },
+      { type: "Bollard", images: ["c"] },
+      { type: "pole", images: ["d"] },
+    ],
+  },
+  { country: "Estonia", code: "EE", region: "Europe", items: [{ type: "pole", images: ["e"] }] },
+  { country: "Atlantis", code: null, items: [{ type: "pole", images: ["f"] }] },
+  { country: "Empty", code: "XX", items: [] },
+];
+
+test("countryMastery folds clue types and counts images per country", () => {
+  const rows = countryMastery(dataset, {
+    byCountry: [{ key: "Latvia", answered: 4, correct: 3 }],
+    now: NOW,
+  });
+  expect(Array.from(rows.keys())).toEqual(["LV", "EE"]);
+
+  const latvia = rows.get("LV");
+  expect(latvia.imageCount).toBe(4);
+  expect(latvia.clueTypes.map((type) => type.images)).toEqual([3, 1]);
+  expect(latvia.accuracy).toBe(0.75);
+  expect(rows.get("EE").accuracy).toBeNull();
+});
+
+test("accuracy bands grey out countries without cards", () => {
+  const rows = countryMastery(dataset, { byCountry: [{ key: "Latvia", answered: 4, correct: 1 }], now: NOW });
+  expect(masteryBand(rows.get("LV"), ACCURACY_VIEW)).toBe("weak");
+  expect(masteryBand(rows.get("EE"), ACCURACY_VIEW)).toBe("untested");
+  expect(masteryBand(rows.get("XX"), ACCURACY_VIEW)).toBe("uncharted");
+  expect(masteryBand({ accuracy: 0.8 }, ACCURACY_VIEW)).toBe("strong");
+});
+
+test("due bands separate waiting reviews from unseen cards", () => {
+  let schedule = reviewAnswer({}, "Latvia", ["bollard"], 5, NOW);
+  const rows = countryMastery(dataset, { schedule, now: NOW });
+  expect(rows.get("LV")).toMatchObject({ cards: 2, seen: 1, due: 0 });
+  expect(masteryBand(rows.get("LV"), DUE_VIEW)).toBe("new");
+
+  schedule = reviewAnswer(schedule, "Latvia", ["pole"], 5, NOW);
+  expect(masteryBand(countryMastery(dataset, { schedule, now: NOW }).get("LV"), DUE_VIEW)).toBe("resting");
+  expect(masteryBand(countryMastery(dataset, { schedule, now: NOW + 2 * DAY_MS }).get("LV"), DUE_VIEW)).toBe("due");
+});
@@ -0,0 +1,26 @@
+import { assetUrl } from "./utils";
+
+/**
+ * Resized copies of clue photos written by generate-data.mjs.
+ * A photo's `media` entry lists the widths it was resized to; every width exists in each format.
+ */
+export const VARIANT_FORMATS = ["avif", "webp"];
+
+export function variantUrl(media, width, format) {
+  return `${media.variants}-${width}.${format}`;
+}
+
+// <source> props in order of preference; empty when the photo has no variants.
+export function imageSources(media) {
+  if (!media?.variants || !media.widths?.length) return [];
+  return VARIANT_FORMATS.map((format) => ({
+    type: `image/${format}`,
+    srcSet: media.widths.map((w) => `${assetUrl(variantUrl(media, w, format))} ${w}w`).join(", "),
+  }));
+}
+
+// Every file a photo may be displayed from, for offline saving.
+export function displayUrls(url, media) {
+  if (!media?.variants || !media.widths?.length) return [url];
+  return VARIANT_FORMATS.flatMap((format) => media.widths.map((w) => variantUrl(media, w, format)));
+}
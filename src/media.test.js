@@ -0,0 +1,16 @@
+import { displayUrls, imageSources } from "./media";
+
+const media = { width: 800, height: 600, variants: "/variants/Latvia/bollard-1", widths: [320, 800] };
+
+test("lists a srcset per format, preferring AVIF", () => {
+  expect(imageSources(media)).toEqual([
+    { type: "image/avif", srcSet: "/variants/Latvia/bollard-1-320.avif 320w, /variants/Latvia/bollard-1-800.avif 800w" },
+    { type: "image/webp", srcSet: "/variants/Latvia/bollard-1-320.webp 320w, /variants/Latvia/bollard-1-800.webp 800w" },
+  ]);
+  expect(imageSources({ width: 800, height: 600 })).toEqual([]);
+});
+
+test("photos without variants are displayed from the original", () => {
+  expect(displayUrls("/images/Latvia/bollard (1).png", undefined)).toEqual(["/images/Latvia/bollard (1).png"]);
+  expect(displayUrls("/images/Latvia/bollard (1).png", media)).toHaveLength(4);
+});
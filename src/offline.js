@@ -0,0 +1,58 @@
+import { displayUrls } from "./media";
+
+/**
+ * Page-side helpers for the offline caches the service worker serves from.
+ * Cache names are shared with service-worker.js.
+ */
+export const DATA_CACHE = "geocards-data";
+export const IMAGE_CACHE = "geocards-images";
+export const MAX_CACHED_IMAGES = 5000;
+
+export function hasCacheStorage() {
+  return typeof window !== "undefined" && "caches" in window;
+}
+
+export function regionImageUrls(dataset, matches) {
+  const urls = [];
+  (dataset || []).forEach((entry) => {
+    if (!matches(entry)) return;
+    (entry.items || []).forEach((item) =>
+      (item.images || []).forEach((url) => urls.push(...displayUrls(url, item.media?.[url])))
+    );
+  });
+  return urls;
+}
+
+export async function countCached(urls, toRequest = (url) => url) {
+  if (!hasCacheStorage()) return 0;
+  const cache = await caches.open(IMAGE_CACHE);
+  const hits = await Promise.all(urls.map((url) => cache.match(toRequest(url))));
+  return hits.filter(Boolean).length;
+}
+
+// Downloads a few photos at a time so a large region doesn't flood a weak connection.
+export async function cacheImages(urls, { toRequest = (url) => url, onProgress = () => {}, batchSize = 6 } = {}) {
+  if (!hasCacheStorage()) return 0;
+  const cache = await caches.open(IMAGE_CACHE);
+  let done = 0;
+  let failed = 0;
+  for (let i = 0; i < urls.length; i += batchSize) {
+    const batch = urls.slice(i, i + batchSize);
+    const results = await Promise.allSettled(
+      batch.map(async (url) => {
+        const request = toRequest(url);
+        if (await cache.match(request)) return;
+        await cache.add(request);
+      })
+    );
+    failed += results.filter((r) => r.status === "rejected").length;
+    done += batch.length;
+    onProgress(done, urls.length);
+  }
+  return failed;
+}
+
+export async function clearImageCache() {
+  if (!hasCacheStorage()) return;
+  await caches.delete(IMAGE_CACHE);
+}
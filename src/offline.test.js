@@ -0,0 +1,16 @@
+import { regionImageUrls } from "./offline";
+
+test("collects every clue photo of the matching countries", () => {
+  const dataset = [
+    { country: "Latvia", region: "Europe", items: [{ type: "bollard", images: ["a.png", "b.png"] }, { type: "pole", images: ["c.png"] }] },
+    { country: "Japan", region: "Asia", items: [{ type: "bollard", images: ["d.png"] }] },
+  ];
+  expect(regionImageUrls(dataset, (entry) => entry.region === "Europe")).toEqual(["a.png", "b.png", "c.png"]);
+  expect(regionImageUrls(dataset, () => true)).toHaveLength(4);
+});
+
+test("saves the resized variants a photo is shown from instead of the original", () => {
+  const media = { width: 800, height: 600, variants: "/variants/Latvia/a", widths: [320] };
+  const dataset = [{ country: "Latvia", region: "Europe", items: [{ type: "bollard", images: ["a.png"], media: { "a.png": media } }] }];
+  expect(regionImageUrls(dataset, () => true)).toEqual(["/variants/Latvia/a-320.avif", "/variants/Latvia/a-320.webp"]);
+});
@@ -0,0 +1,297 @@
+import { matchesRegions } from "./regions";
+import { pickChoices } from "./choices";
+import { shuffleArray, weightedSample } from "./random";
+
+/**
+ * Question selection. Every draw takes its randomness from `options.random`
+ * (Math.random by default), so a seeded generator reproduces the same sequence.
+ *
+ * Options: { regions, countries, typeFilter, cardWeight, clueCount, lineup, pinpoint, choices, confusions, random }
+ */
+export const LINEUP_KIND = "lineup";
+export const PINPOINT_KIND = "pinpoint";
+const LINEUP_MIN = 4;
+const LINEUP_MAX = 6;
+
+function validItems(items) {
+  return (items || []).filter((it) => Array.isArray(it.images) && it.images.length > 0);
+}
+
+function getUniqueTypeItems(items) {
+  const seen = new Set();
+  const unique = [];
+  items.forEach((item) => {
+    const key = typeof item.type === "string" ? item.type.toLowerCase() : "";
+    if (!key || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    unique.push(item);
+  });
+  return unique;
+}
+
+export function hasTypeFilter(filter) {
+  return Boolean(filter && (filter.include.length || filter.exclude.length));
+}
+
+// Filters hold lowercased type keys; an empty include list means "every type".
+function isTypeAllowed(type, filter) {
+  if (!filter) return true;
+  const key = type.toLowerCase();
+  if (filter.include.length && !filter.include.includes(key)) return false;
+  return !filter.exclude.includes(key);
+}
+
+function getImagesForTypes(items, filter) {
+  const images = [];
+  items.forEach((item) => {
+    if (typeof item.type !== "string" || !isTypeAllowed(item.type, filter)) {
+      return;
+    }
+    item.images.forEach((url) => {
+      images.push({ url, type: item.type, meta: item.meta?.[url], media: item.media?.[url] });
+    });
+  });
+  return images;
+}
+
+// Decides how a country's clues are drawn under the active type filter:
+// - "same":   exactly one type is included, so any images of that type
+// - "unique": one image per distinct type (the unfiltered default)
+// - "mixed":  a filter leaves fewer distinct types than clues, so the distinct
+//             types are topped up with extra images of the allowed types
+function getCluePlan(entry, options) {
+  const clueCount = options.clueCount ?? 3;
+  const filter = options.typeFilter;
+  const items = validItems(entry.items).filter(
+    (item) => typeof item.type === "string" && isTypeAllowed(item.type, filter)
+  );
+  if (items.length === 0) {
+    return null;
+  }
+
+  const images = getImagesForTypes(items);
+  if (filter && filter.include.length === 1) {
+    return images.length >= clueCount ? { kind: "same", items, images } : null;
+  }
+
+  const uniqueItems = getUniqueTypeItems(items);
+  if (uniqueItems.length >= clueCount) {
+    return { kind: "unique", items: uniqueItems, images };
+  }
+  if (hasTypeFilter(filter) && images.length >= clueCount) {
+    return { kind: "mixed", items: uniqueItems, images };
+  }
+  return null;
+}
+
+// A second, subdivision-level guess is only fair when every photo was taken in the same one
+// and the country has a layer to click it on.
+function withSubdivision(question, entry) {
+  const names = new Set(question.images.map((img) => img.meta?.subdivision || null));
+  const [name] = names;
+  if (!entry.subdivisions || names.size !== 1 || !name) return question;
+  return { ...question, subdivision: name, subdivisionLayer: entry.subdivisions };
+}
+
+function buildQuestion(entry, options = {}) {
+  const clueCount = options.clueCount ?? 3;
+  const random = options.random || Math.random;
+  const plan = getCluePlan(entry, options);
+  if (!plan) {
+    return null;
+  }
+
+  if (plan.kind === "same") {
+    return withSubdivision({
+      correctCountry: entry.country,
+      correctCode: entry.code,
+      images: shuffleArray(plan.images, random).slice(0, clueCount),
+    }, entry);
+  }
+
+  const chosenItems = options.cardWeight
+    ? weightedSample(plan.items, clueCount, (item) => options.cardWeight(entry.country, item.type), random)
+    : shuffleArray(plan.items, random).slice(0, clueCount);
+  const images = chosenItems.map((item) => {
+    const img = item.images[Math.floor(random() * item.images.length)];
+    return { url: img, type: item.type, meta: item.meta?.[img], media: item.media?.[img] };
+  });
+
+  if (images.length < clueCount) {
+    const used = new Set(images.map((img) => img.url));
+    const extra = shuffleArray(plan.images.filter((img) => !used.has(img.url)), random);
+    images.push(...extra.slice(0, clueCount - images.length));
+  }
+
+  return withSubdivision({
+    correctCountry: entry.country,
+    correctCode: entry.code,
+    images,
+  }, entry);
+}
+
+export function pickQuestion(dataset, options = {}) {
+  const candidates = (dataset || []).filter((entry) => {
+    if (!matchesRegions(entry, options.regions)) {
+      return false;
+    }
+    if (options.countries && !options.countries.includes(entry.country)) {
+      return false;
+    }
+    return getCluePlan(entry, options) !== null;
+  });
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const random = options.random || Math.random;
+  const correct = options.cardWeight
+    ? weightedSample(candidates, 1, (entry) => getEntryWeight(entry, options), random)[0]
+    : candidates[Math.floor(random() * candidates.length)];
+  return buildQuestion(correct, options);
+}
+
+// A country is as urgent as its most overdue clue type (within the active type filter).
+function getEntryWeight(entry, options) {
+  let weight = 0;
+  validItems(entry.items).forEach((item) => {
+    if (typeof item.type !== "string" || !isTypeAllowed(item.type, options.typeFilter)) return;
+    weight = Math.max(weight, options.cardWeight(entry.country, item.type));
+  });
+  return weight;
+}
+
+// Lineup questions run the other way: name a country, then show its photo of one clue type
+// beside photos of the same type from other countries.
+function getLineupItems(entry, byType, filter) {
+  return getUniqueTypeItems(validItems(entry.items)).filter((item) => {
+    if (typeof item.type !== "string" || !isTypeAllowed(item.type, filter)) return false;
+    const others = (byType.get(item.type.toLowerCase()) || []).filter((other) => other.country !== entry.country);
+    return others.length >= LINEUP_MIN - 1;
+  });
+}
+
+// Lowercased clue type -> entries that have at least one photo of it.
+function indexEntriesByType(dataset) {
+  const byType = new Map();
+  (dataset || []).forEach((entry) => {
+    validItems(entry.items).forEach((item) => {
+      if (typeof item.type !== "string") return;
+      const key = item.type.toLowerCase();
+      const entries = byType.get(key) || [];
+      if (!entries.includes(entry)) entries.push(entry);
+      byType.set(key, entries);
+    });
+  });
+  return byType;
+}
+
+export function pickLineupQuestion(dataset, options = {}) {
+  const byType = indexEntriesByType(dataset);
+  const itemsOf = (entry) => getLineupItems(entry, byType, options.typeFilter);
+  const candidates = (dataset || []).filter((entry) => {
+    if (!matchesRegions(entry, options.regions)) {
+      return false;
+    }
+    if (options.countries && !options.countries.includes(entry.country)) {
+      return false;
+    }
+    return itemsOf(entry).length > 0;
+  });
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const random = options.random || Math.random;
+  const weightOf = (entry, item) => options.cardWeight(entry.country, item.type);
+  const target = options.cardWeight
+    ? weightedSample(candidates, 1, (entry) => Math.max(...itemsOf(entry).map((item) => weightOf(entry, item))), random)[0]
+    : candidates[Math.floor(random() * candidates.length)];
+  const items = itemsOf(target);
+  const item = options.cardWeight
+    ? weightedSample(items, 1, (it) => weightOf(target, it), random)[0]
+    : items[Math.floor(random() * items.length)];
+
+  const typeKey = item.type.toLowerCase();
+  const others = shuffleArray(byType.get(typeKey).filter((entry) => entry.country !== target.country), random);
+  // Neighbours (or the other drilled countries) make the instructive decoys, so they go first.
+  const isNear = (entry) =>
+    options.countries ? options.countries.includes(entry.country) : entry.region === target.region;
+  const decoys = [...others.filter(isNear), ...others.filter((entry) => !isNear(entry))].slice(0, LINEUP_MAX - 1);
+
+  const images = [target, ...decoys].map((entry) => {
+    const photos = getImagesForTypes(validItems(entry.items), { include: [typeKey], exclude: [] });
+    const photo = photos[Math.floor(random() * photos.length)];
+    return { ...photo, country: entry.country, code: entry.code };
+  });
+
+  return {
+    kind: LINEUP_KIND,
+    correctCountry: target.country,
+    correctCode: target.code,
+    clueType: item.type,
+    images: shuffleArray(images, random),
+  };
+}
+
+function locatedImages(entry, filter) {
+  return getImagesForTypes(validItems(entry.items), filter).filter(
+    (img) => typeof img.meta?.lat === "number" && typeof img.meta?.lng === "number"
+  );
+}
+
+// Pinpoint questions show a single photo whose sidecar records where it was taken.
+// Whether any photo has the coordinates a pinpoint round needs.
+export function hasPinpointPhotos(dataset) {
+  return (dataset || []).some((entry) => locatedImages(entry).length > 0);
+}
+
+export function pickPinpointQuestion(dataset, options = {}) {
+  const candidates = (dataset || []).filter((entry) => {
+    if (!matchesRegions(entry, options.regions)) {
+      return false;
+    }
+    if (options.countries && !options.countries.includes(entry.country)) {
+      return false;
+    }
+    return locatedImages(entry, options.typeFilter).length > 0;
+  });
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const random = options.random || Math.random;
+  const weightOf = (entry, img) => options.cardWeight(entry.country, img.type);
+  const target = options.cardWeight
+    ? weightedSample(candidates, 1, (entry) => Math.max(...locatedImages(entry, options.typeFilter).map((img) => weightOf(entry, img))), random)[0]
+    : candidates[Math.floor(random() * candidates.length)];
+  const photos = locatedImages(target, options.typeFilter);
+  const photo = options.cardWeight
+    ? weightedSample(photos, 1, (img) => weightOf(target, img), random)[0]
+    : photos[Math.floor(random() * photos.length)];
+
+  return {
+    kind: PINPOINT_KIND,
+    correctCountry: target.country,
+    correctCode: target.code,
+    location: [photo.meta.lat, photo.meta.lng],
+    images: [photo],
+  };
+}
+
+// Builds the next question for the active quiz: a lineup, a pinpoint, or clues with optional answer choices.
+export function drawQuestion(dataset, options = {}) {
+  const question = options.lineup ? pickLineupQuestion(dataset, options)
+    : options.pinpoint ? pickPinpointQuestion(dataset, options)
+    : pickQuestion(dataset, options);
+  if (!question || !options.choices) return question;
+  return {
+    ...question,
+    choices: pickChoices(dataset, question, { confusions: options.confusions, random: options.random }),
+  };
+}
@@ -0,0 +1,119 @@
+import { LINEUP_KIND, PINPOINT_KIND, drawQuestion, hasPinpointPhotos, pickLineupQuestion, pickPinpointQuestion, pickQuestion } from "./questions";
+import { createRandom } from "./random";
+import { entry } from "./testFixtures";
+
+const dataset = [
+  entry("Latvia", "LV", "Europe", ["bollard", "pole", "sign", "plate"], 2),
+  entry("Lithuania", "LT", "Europe", ["bollard", "pole", "sign"]),
+  entry("Estonia", "EE", "Europe", ["bollard", "pole", "sign"]),
+  entry("Brazil", "BR", "South America", ["bollard", "pole", "sign"]),
+  entry("Japan", "JP", "Asia", ["bollard", "car"]),
+];
+
+test("the same seed draws the same questions", () => {
+  const draw = (seed) => {
+    const random = createRandom(seed);
+    return [1, 2, 3].map(() => drawQuestion(dataset, { choices: true, random }));
+  };
+  expect(draw("team-challenge")).toEqual(draw("team-challenge"));
+  expect(draw("team-challenge")).not.toEqual(draw("another-seed"));
+});
+
+test("unfiltered questions show one clue per distinct type", () => {
+  const question = pickQuestion(dataset, { countries: ["Latvia"], random: createRandom("a") });
+  expect(question.correctCode).toBe("LV");
+  expect(question.images).toHaveLength(3);
+  expect(new Set(question.images.map((img) => img.type)).size).toBe(3);
+});
+
+test("a single included type draws every clue from that type", () => {
+  const typeFilter = { include: ["bollard"], exclude: [] };
+  expect(pickQuestion(dataset, { countries: ["Lithuania"], typeFilter })).toBeNull();
+
+  const question = pickQuestion(dataset, { countries: ["Latvia"], typeFilter, clueCount: 2, random: createRandom("b") });
+  expect(question.images.map((img) => img.type)).toEqual(["bollard", "bollard"]);
+});
+
+test("excluded types are never drawn and can leave a country short of clues", () => {
+  const typeFilter = { include: [], exclude: ["bollard"] };
+  expect(pickQuestion(dataset, { countries: ["Lithuania"], typeFilter })).toBeNull();
+
+  const question = pickQuestion(dataset, { countries: ["Latvia"], typeFilter, random: createRandom("e") });
+  expect(new Set(question.images.map((img) => img.type))).toEqual(new Set(["pole", "sign", "plate"]));
+});
+
+test("a filter with fewer types than clues tops up with extra photos of the allowed types", () => {
+  const typeFilter = { include: ["bollard", "pole"], exclude: [] };
+  expect(pickQuestion(dataset, { countries: ["Lithuania"], typeFilter })).toBeNull();
+
+  const question = pickQuestion(dataset, { countries: ["Latvia"], typeFilter, random: createRandom("f") });
+  expect(question.images).toHaveLength(3);
+  expect(new Set(question.images.map((img) => img.type))).toEqual(new Set(["bollard", "pole"]));
+  expect(new Set(question.images.map((img) => img.url)).size).toBe(3);
+});
+
+test("region filters and countries without enough clue types are respected", () => {
+  const random = createRandom("c");
+  for (let i = 0; i < 10; i++) {
+    const question = pickQuestion(dataset, { regions: ["Europe"], random });
+    expect(["Latvia", "Lithuania", "Estonia"]).toContain(question.correctCountry);
+  }
+  expect(pickQuestion(dataset, { regions: ["Asia"] })).toBeNull();
+});
+
+test("lineups pair the named country's photo with the same type from others", () => {
+  const question = pickLineupQuestion(dataset, { countries: ["Latvia"], random: createRandom("d") });
+  expect(question.kind).toBe(LINEUP_KIND);
+  expect(question.images.length).toBeGreaterThanOrEqual(4);
+  expect(question.images.length).toBeLessThanOrEqual(6);
+  expect(new Set(question.images.map((img) => img.type))).toEqual(new Set([question.clueType]));
+  expect(new Set(question.images.map((img) => img.country)).size).toBe(question.images.length);
+  expect(question.images.filter((img) => img.code === "LV")).toHaveLength(1);
+});
+
+test("questions ask for the subdivision only when every photo names the same one", () => {
+  const russia = entry("Russia", "RU", "Europe", ["bollard", "pole", "sign"]);
+  russia.subdivisions = "/data/admin1/RU.json";
+  russia.items.forEach((item) => {
+    item.meta = { [item.images[0]]: { subdivision: "Moscow Oblast" } };
+  });
+  const question = pickQuestion([russia], { random: createRandom("a") });
+  expect(question.subdivision).toBe("Moscow Oblast");
+  expect(question.subdivisionLayer).toBe("/data/admin1/RU.json");
+
+  russia.items[0].meta = { [russia.items[0].images[0]]: { subdivision: "Tver Oblast" } };
+  expect(pickQuestion([russia], { random: createRandom("a") }).subdivision).toBeUndefined();
+
+  delete russia.subdivisions;
+  russia.items[0].meta = { [russia.items[0].images[0]]: { subdivision: "Moscow Oblast" } };
+  expect(pickQuestion([russia], { random: createRandom("a") }).subdivision).toBeUndefined();
+});
+
+test("pinpoint questions only use photos with coordinates", () => {
+  expect(pickPinpointQuestion(dataset, { random: createRandom("a") })).toBeNull();
+
+  const located = dataset.map((e) => ({ ...e, items: e.items.map((item) => ({ ...item })) }));
+  const pole = located[0].items[1];
+  pole.meta = { [pole.images[1]]: { lat: 56.95, lng: 24.1 } };
+  const question = drawQuestion(located, { pinpoint: true, random: createRandom("a") });
+  expect(question.kind).toBe(PINPOINT_KIND);
+  expect(question.correctCode).toBe("LV");
+  expect(question.location).toEqual([56.95, 24.1]);
+  expect(question.images.map((img) => img.url)).toEqual([pole.images[1]]);
+});
+
+test("pinpoint draws only located photos when they are mixed with unlocated ones", () => {
+  expect(hasPinpointPhotos(dataset)).toBe(false);
+
+  const mixed = dataset.map((e) => ({ ...e, items: e.items.map((item) => ({ ...item })) }));
+  const [latviaSign, brazilPole] = [mixed[0].items[2], mixed[3].items[1]];
+  latviaSign.meta = { [latviaSign.images[0]]: { lat: 56.95, lng: 24.1 }, [latviaSign.images[1]]: { tell: "No coordinates" } };
+  brazilPole.meta = { [brazilPole.images[0]]: { lat: -23.55, lng: -46.63 } };
+  expect(hasPinpointPhotos(mixed)).toBe(true);
+
+  const drawn = ["a", "b", "c", "d", "e", "f"].map((seed) => pickPinpointQuestion(mixed, { random: createRandom(seed) }));
+  drawn.forEach((question) => {
+    expect([latviaSign.images[0], brazilPole.images[0]]).toContain(question.images[0].url);
+    expect(question.location).toEqual(question.correctCode === "LV" ? [56.95, 24.1] : [-23.55, -46.63]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Seedable random numbers so a question sequence can be replayed exactly.
+ * createRandom returns a drop-in replacement for Math.random (mulberry32 over a string hash);
+ * every helper here takes one as an optional last argument.
+ */
+function hashSeed(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  return h >>> 0;
+}
+
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Short, readable seed, e.g. "k3v9qz".
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, "0");
+}
+
+export function shuffleArray(arr, random = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Weighted sampling without replacement (Efraimidis-Spirakis): heavier entries tend to come first.
+export function weightedSample(arr, count, weightOf, random = Math.random) {
+  return arr
+    .map((value) => ({ value, key: random() ** (1 / Math.max(weightOf(value), 1e-6)) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map((entry) => entry.value);
+}
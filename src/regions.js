@@ -0,0 +1,60 @@
+/**
+ * Region filters are stored as keys: a continent ("Europe") or a continent plus
+ * sub-region ("Europe › Baltics"). A continent key covers all of its sub-regions.
+ */
+export const REGION_SEPARATOR = " › ";
+
+export function regionKey(region, subregion) {
+  return subregion ? `${region}${REGION_SEPARATOR}${subregion}` : region;
+}
+
+export function matchesRegions(entry, keys) {
+  if (!keys || keys.length === 0) return true;
+  return keys.some((key) => key === entry.region || key === regionKey(entry.region, entry.subregion));
+}
+
+// Continents present in the dataset, each with its sorted sub-regions.
+export function getRegions(dataset) {
+  const tree = new Map();
+  (dataset || []).forEach((entry) => {
+    if (!entry.region) return;
+    if (!tree.has(entry.region)) tree.set(entry.region, new Set());
+    if (entry.subregion) tree.get(entry.region).add(entry.subregion);
+  });
+  return Array.from(tree.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([region, subregions]) => ({
+      region,
+      subregions: Array.from(subregions).sort((a, b) => a.localeCompare(b)),
+    }));
+}
+
+export function isRegionSelected(keys, region, subregion) {
+  return keys.includes(region) || (subregion !== undefined && keys.includes(regionKey(region, subregion)));
+}
+
+// Toggles a continent (no subregion) or one of its sub-regions, keeping the key list minimal:
+// unticking a sub-region of a fully selected continent expands it, and ticking the last
+// missing sub-region collapses them back into the continent.
+export function toggleRegion(keys, group, subregion) {
+  const { region, subregions } = group;
+  const subKeys = subregions.map((sub) => regionKey(region, sub));
+  const others = keys.filter((key) => key !== region && !subKeys.includes(key));
+
+  if (subregion === undefined) {
+    return keys.includes(region) ? others : [...others, region];
+  }
+
+  const key = regionKey(region, subregion);
+  let selectedSubs;
+  if (keys.includes(region)) {
+    selectedSubs = subKeys.filter((k) => k !== key);
+  } else if (keys.includes(key)) {
+    selectedSubs = subKeys.filter((k) => k !== key && keys.includes(k));
+  } else {
+    selectedSubs = subKeys.filter((k) => k === key || keys.includes(k));
+  }
+
+  if (selectedSubs.length === subKeys.length) return [...others, region];
+  return [...others, ...selectedSubs];
+}
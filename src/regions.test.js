@@ -0,0 +1,35 @@
+import { getRegions, matchesRegions, toggleRegion } from "./regions";
+
+const europe = { region: "Europe", subregions: ["Baltics", "Nordics", "Western Europe"] };
+
+test("continent keys cover their sub-regions", () => {
+  const latvia = { region: "Europe", subregion: "Baltics" };
+  expect(matchesRegions(latvia, ["Europe"])).toBe(true);
+  expect(matchesRegions(latvia, ["Europe › Baltics"])).toBe(true);
+  expect(matchesRegions(latvia, ["Europe › Nordics", "Asia"])).toBe(false);
+  expect(matchesRegions(latvia, undefined)).toBe(true);
+});
+
+test("toggling sub-regions expands and collapses the continent", () => {
+  let keys = toggleRegion([], europe, "Baltics");
+  expect(keys).toEqual(["Europe › Baltics"]);
+  keys = toggleRegion(keys, europe, "Nordics");
+  keys = toggleRegion(keys, europe, "Western Europe");
+  expect(keys).toEqual(["Europe"]);
+  keys = toggleRegion(keys, europe, "Nordics");
+  expect(keys).toEqual(["Europe › Baltics", "Europe › Western Europe"]);
+  expect(toggleRegion(["Asia", ...keys], europe)).toEqual(["Asia", "Europe"]);
+});
+
+test("getRegions builds the continent tree from the dataset", () => {
+  const dataset = [
+    { region: "Europe", subregion: "Nordics" },
+    { region: "Europe", subregion: "Baltics" },
+    { region: "South America", subregion: "" },
+    { region: "", subregion: "" },
+  ];
+  expect(getRegions(dataset)).toEqual([
+    { region: "Europe", subregions: ["Baltics", "Nordics"] },
+    { region: "South America", subregions: [] },
+  ]);
+});
@@ -0,0 +1,63 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { BroadcastUpdatePlugin } from "workbox-broadcast-update";
+import { DATA_CACHE, IMAGE_CACHE, MAX_CACHED_IMAGES } from "./offline";
+
+/**
+ * Offline support. Built by react-scripts (InjectManifest) into build/service-worker.js.
+ * - App shell: precached at install; navigations fall back to index.html.
+ * - data.json and the world / admin-1 outlines: served from cache, refreshed in the background; when a refresh
+ *   differs from the cached copy the page is told, so it can offer a reload.
+ * - Clue photos: cache-first. The page can save whole regions ahead of time (see offline.js).
+ */
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  return !url.pathname.match(fileExtensionRegexp);
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+// The charts are fetched before the worker controls the page, so warm their cache at install.
+const DATA_FILES = ["data/data.json", "data/world.simple.json"].map((file) => `${process.env.PUBLIC_URL}/${file}`);
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(DATA_CACHE).then((cache) => cache.addAll(DATA_FILES)));
+});
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\/data\/(data|world|world\.simple|admin1\/[^/]+)\.json$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: DATA_CACHE,
+    plugins: [new BroadcastUpdatePlugin({ headersToCheck: ["content-length", "etag", "last-modified"] })],
+  })
+);
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\/(images|variants)\//.test(url.pathname),
+  new CacheFirst({
+    cacheName: IMAGE_CACHE,
+    plugins: [new ExpirationPlugin({ maxEntries: MAX_CACHED_IMAGES })],
+  })
+);
+
+// Google Fonts: the stylesheet may change, the font files never do.
+registerRoute(
+  ({ url }) => url.origin === "https://fonts.googleapis.com",
+  new StaleWhileRevalidate({ cacheName: "geocards-font-styles" })
+);
+registerRoute(
+  ({ url }) => url.origin === "https://fonts.gstatic.com",
+  new CacheFirst({ cacheName: "geocards-fonts", plugins: [new ExpirationPlugin({ maxEntries: 30 })] })
+);
+
+// Lets the page activate a waiting worker once the player agrees to reload.
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
@@ -0,0 +1,86 @@
+/**
+ * Registers build/service-worker.js in production builds and relays what it reports:
+ *   { kind: "app", activate }  a new app version is waiting; activate() reloads into it
+ *   { kind: "data", url }      data.json or a world / admin-1 outline changed since it was cached
+ * Components listen with subscribeToUpdates; events raised before they mount are replayed.
+ * In development there is no worker; the page reloads when `npm start` regenerates data.json.
+ * index.js calls register() on startup in both cases.
+ */
+const listeners = new Set();
+const raised = [];
+
+function emit(event) {
+  raised.push(event);
+  listeners.forEach((listener) => listener(event));
+}
+
+export function subscribeToUpdates(listener) {
+  raised.forEach(listener);
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const DEV_POLL_MS = 2000;
+
+function reloadOnDataChange() {
+  const url = `${process.env.PUBLIC_URL}/data/data.json`;
+  let version = null;
+  setInterval(async () => {
+    try {
+      const res = await fetch(url, { method: "HEAD", cache: "no-store" });
+      const next = res.headers.get("etag") || res.headers.get("last-modified");
+      if (version && next && next !== version) window.location.reload();
+      version = next || version;
+    } catch {
+      // dev server restarting -- try again on the next tick
+    }
+  }, DEV_POLL_MS);
+}
+
+export function register() {
+  if (process.env.NODE_ENV === "development") {
+    reloadOnDataChange();
+    return;
+  }
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The worker can't control pages on another origin (e.g. a CDN-hosted PUBLIC_URL).
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      const activate = () => registration.waiting?.postMessage({ type: "SKIP_WAITING" });
+
+      if (registration.waiting && navigator.serviceWorker.controller) emit({ kind: "app", activate });
+      registration.addEventListener("updatefound", () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.addEventListener("statechange", () => {
+          if (installing.state === "installed" && navigator.serviceWorker.controller) emit({ kind: "app", activate });
+        });
+      });
+    } catch (e) {
+      console.warn("Service worker registration failed:", e);
+    }
+  });
+
+  // The first install also claims the page; only a replaced worker warrants a reload.
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "CACHE_UPDATED") emit({ kind: "data", url: event.data.payload?.updatedURL });
+  });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch(() => {});
+}
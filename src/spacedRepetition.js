@@ -0,0 +1,88 @@
+import { canonicalType } from "./taxonomy";
+import { loadStored, saveStored } from "./utils";
+
+/**
+ * SM-2 style scheduler keyed by (country, clue type).
+ * Each card keeps an ease factor, an interval in days and the time it is next due.
+ * Cards that have never been answered count as due so new material keeps flowing in.
+ */
+const STORAGE_KEY = "geocards.schedule.v1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const NEW_CARD_WEIGHT = 1;
+const NOT_DUE_WEIGHT = 0.05;
+
+export function cardKey(country, type) {
+  return `${country}::${canonicalType(type).toLowerCase()}`;
+}
+
+export function loadSchedule() {
+  const stored = loadStored(STORAGE_KEY, {});
+  return stored && typeof stored === "object" ? stored : {};
+}
+
+export function saveSchedule(schedule) {
+  saveStored(STORAGE_KEY, schedule);
+}
+
+// Fewer clues needed means a stronger recall; a miss always scores 1 and any hint caps it at 3.
+export function recallQuality(correct, cluesUsed = 1, hintsUsed = 0) {
+  if (!correct) return 1;
+  if (hintsUsed > 0) return 3;
+  if (cluesUsed <= 1) return 5;
+  if (cluesUsed === 2) return 4;
+  return 3;
+}
+
+export function reviewCard(card, quality, now = Date.now()) {
+  const prev = card || { ease: START_EASE, interval: 0, reps: 0 };
+  const ease = Math.max(MIN_EASE, prev.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  if (quality < 3) {
+    return { ease, interval: 0, reps: 0, due: now, lastReviewed: now };
+  }
+
+  const reps = prev.reps + 1;
+  let interval;
+  if (reps === 1) interval = 1;
+  else if (reps === 2) interval = 6;
+  else interval = Math.round(prev.interval * ease);
+
+  return { ease, interval, reps, due: now + interval * DAY_MS, lastReviewed: now };
+}
+
+export function reviewAnswer(schedule, country, types, quality, now = Date.now()) {
+  const next = { ...schedule };
+  new Set(types.map((t) => cardKey(country, t))).forEach((key) => {
+    next[key] = reviewCard(schedule[key], quality, now);
+  });
+  return next;
+}
+
+export function isDue(card, now = Date.now()) {
+  return !card || card.due <= now;
+}
+
+// Overdue cards grow heavier the longer they have been waiting, relative to their interval.
+export function cardWeight(card, now = Date.now()) {
+  if (!card) return NEW_CARD_WEIGHT;
+  if (card.due > now) return NOT_DUE_WEIGHT;
+  const overdueDays = (now - card.due) / DAY_MS;
+  return 1 + overdueDays / Math.max(1, card.interval);
+}
+
+export function countDue(schedule, dataset, now = Date.now()) {
+  let due = 0;
+  (dataset || []).forEach((entry) => {
+    const seen = new Set();
+    (entry.items || []).forEach((item) => {
+      if (!item || typeof item.type !== "string") return;
+      const key = cardKey(entry.country, item.type);
+      if (seen.has(key)) return;
+      seen.add(key);
+      if (isDue(schedule[key], now)) due += 1;
+    });
+  });
+  return due;
+}
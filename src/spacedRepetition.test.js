@@ -0,0 +1,50 @@
+import { cardKey, cardWeight, countDue, isDue, recallQuality, reviewAnswer, reviewCard } from "./spacedRepetition";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 0, 1);
+
+test("correct answers push the next review further out", () => {
+  const first = reviewCard(undefined, 5, NOW);
+  expect(first.interval).toBe(1);
+  expect(first.due).toBe(NOW + DAY_MS);
+
+  const second = reviewCard(first, 5, NOW);
+  expect(second.interval).toBe(6);
+
+  const third = reviewCard(second, 5, NOW);
+  expect(third.interval).toBeGreaterThan(6);
+});
+
+test("a miss resets the card and lowers its ease", () => {
+  const learned = reviewCard(reviewCard(undefined, 5, NOW), 5, NOW);
+  const missed = reviewCard(learned, recallQuality(false), NOW);
+  expect(missed.reps).toBe(0);
+  expect(missed.ease).toBeLessThan(learned.ease);
+  expect(isDue(missed, NOW)).toBe(true);
+});
+
+test("hints cap the recall quality of a correct answer", () => {
+  expect(recallQuality(true, 1)).toBe(5);
+  expect(recallQuality(true, 1, 1)).toBe(3);
+  expect(recallQuality(false, 1, 0)).toBe(1);
+});
+
+test("due and unseen cards outweigh cards that are not due yet", () => {
+  const schedule = reviewAnswer({}, "Latvia", ["bollard", "Bollard"], 5, NOW);
+  expect(Object.keys(schedule)).toEqual([cardKey("Latvia", "bollard")]);
+
+  const notDue = cardWeight(schedule[cardKey("Latvia", "bollard")], NOW);
+  const unseen = cardWeight(undefined, NOW);
+  const overdue = cardWeight(schedule[cardKey("Latvia", "bollard")], NOW + 3 * DAY_MS);
+  expect(unseen).toBeGreaterThan(notDue);
+  expect(overdue).toBeGreaterThan(unseen);
+});
+
+test("countDue counts each (country, clue type) pair once", () => {
+  const dataset = [
+    { country: "Latvia", items: [{ type: "bollard", images: ["a"] }, { type: "Bollard", images: ["b"] }, { type: "pole", images: ["c"] }] },
+  ];
+  const schedule = reviewAnswer({}, "Latvia", ["pole"], 5, NOW);
+  expect(countDue({}, dataset, NOW)).toBe(2);
+  expect(countDue(schedule, dataset, NOW)).toBe(1);
+});
@@ -0,0 +1,38 @@
+import { assetUrl } from "./utils";
+
+/**
+ * Admin-1 layers (states, provinces, oblasts) for the second stage of a guess.
+ * Each country's layer is a GeoJSON FeatureCollection at public/data/admin1/<CODE>.json,
+ * named by `properties.name`; photos point at a feature through their sidecar's `subdivision`.
+ * Layers are fetched on first use and kept for the session.
+ */
+export const SUBDIVISION_ZOOM = 4;
+const layers = new Map();
+
+export function loadSubdivisions(path) {
+  if (!layers.has(path)) {
+    const request = fetch(assetUrl(path))
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed ${path}: ${res.status}`);
+        return res.json();
+      })
+      .catch((err) => {
+        layers.delete(path);
+        throw err;
+      });
+    layers.set(path, request);
+  }
+  return layers.get(path);
+}
+
+export function subdivisionName(feature) {
+  return feature?.properties?.name || "";
+}
+
+// Sidecars are hand-written, so "São Paulo" matches "Sao Paulo" and case doesn't matter.
+const normalize = (name) =>
+  String(name || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toLowerCase();
+
+export function sameSubdivision(a, b) {
+  return Boolean(a) && normalize(a) === normalize(b);
+}
@@ -0,0 +1,8 @@
+import { sameSubdivision, subdivisionName } from "./subdivisions";
+
+test("subdivision names match regardless of case and accents", () => {
+  expect(sameSubdivision("São Paulo", "sao paulo")).toBe(true);
+  expect(sameSubdivision("Moscow Oblast", "Moscow")).toBe(false);
+  expect(sameSubdivision(null, "")).toBe(false);
+  expect(subdivisionName({ properties: { name: "Tver Oblast" } })).toBe("Tver Oblast");
+});
@@ -0,0 +1,42 @@
+import taxonomy from "./data/clueTaxonomy.json";
+
+/**
+ * Canonical clue types, grouped into categories. Filename stems (see deriveType in
+ * generate-data.mjs) map onto a type through its lowercased `stems` list.
+ */
+export const UNCATEGORISED = "Uncategorised";
+export const CATEGORY_ORDER = taxonomy.map((group) => group.category);
+
+const typesByKey = new Map();
+const typesByStem = new Map();
+taxonomy.forEach(({ category, types }) => {
+  types.forEach(({ type, label, stems }) => {
+    const info = { type, label, category };
+    typesByKey.set(type.toLowerCase(), info);
+    stems.forEach((stem) => typesByStem.set(stem.toLowerCase(), info));
+  });
+});
+
+// Accepts either a canonical type or a raw filename stem.
+export function resolveClueType(typeOrStem) {
+  const key = String(typeOrStem || "").toLowerCase();
+  return typesByKey.get(key) || typesByStem.get(key) || null;
+}
+
+// Stable key for grouping: the canonical type when known, else the lowercased input.
+export function canonicalType(typeOrStem) {
+  return resolveClueType(typeOrStem)?.type || String(typeOrStem || "").toLowerCase();
+}
+
+export function clueTypeLabel(typeOrStem) {
+  return resolveClueType(typeOrStem)?.label || typeOrStem;
+}
+
+export function clueCategory(typeOrStem) {
+  return resolveClueType(typeOrStem)?.category || UNCATEGORISED;
+}
+
+export function compareCategories(a, b) {
+  const rank = (c) => (CATEGORY_ORDER.includes(c) ? CATEGORY_ORDER.indexOf(c) : CATEGORY_ORDER.length);
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
@@ -0,0 +1,11 @@
+// Shared by the tests: a dataset entry with `perType` photos of each clue type.
+export const entry = (country, code, region, types, perType = 1) => ({
+  country,
+  code,
+  region,
+  subregion: "",
+  items: types.map((type) => ({
+    type,
+    images: Array.from({ length: perType }, (_, i) => `/images/${country}/${type} (${i + 1}).png`),
+  })),
+});
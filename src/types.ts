@@ -1,22 +1,85 @@
+/** Coordinates are fractions (0-1) of the image width/height */
+export interface ImageAnnotation {
+  box?: [number, number, number, number];
+  polygon?: [number, number][];
+  label?: string;
+}
+
+export interface ImageMeta {
+  explanation?: string;
+  tell?: string;
+  source?: string;
+  lat?: number;
+  lng?: number;
+  /** Admin-1 feature name (state, province, oblast) in the country's subdivision layer */
+  subdivision?: string;
+  annotations?: ImageAnnotation[];
+}
+
+/** Written by generate-data.mjs when sharp is available */
+export interface ImageMedia {
+  width: number;
+  height: number;
+  /** Tiny WebP data URI shown blurred while the photo loads */
+  placeholder: string;
+  /** Content hash of the source image, used to skip unchanged images on the next run */
+  hash: string;
+  /** Path prefix of the resized copies: `${variants}-${width}.${format}` */
+  variants?: string;
+  widths?: number[];
+}
+
 export interface CountryItem {
+  /** Canonical clue type from src/data/clueTaxonomy.json */
   type: string;
+  /** Taxonomy category, e.g. "Road Furniture" */
+  category: string;
   images: string[];
+  /** Sidecar metadata keyed by image path; only images with a sidecar appear */
+  meta?: Record<string, ImageMeta>;
+  /** Size, placeholder and resized variants keyed by image path */
+  media?: Record<string, ImageMedia>;
 }
 
 export interface CountryEntry {
   country: string;
+  /** ISO 3166-1 alpha-2 code, matching the feature id in world.json */
+  code: string;
+  /** Continent, e.g. "Europe" */
   region: string;
+  /** Sub-region within the continent, e.g. "Baltics"; empty when the continent isn't split */
+  subregion: string;
+  /** Path of the country's admin-1 GeoJSON, when it has one */
+  subdivisions?: string;
   items: CountryItem[];
 }
 
 export interface QuestionImage {
   url: string;
   type: string;
+  meta?: ImageMeta;
+  media?: ImageMedia;
+  /** Set on lineup photos, which come from several countries */
+  country?: string;
+  code?: string;
 }
 
 export interface Question {
+  /** "lineup" when the country is given and the player picks its photo;
+   *  "pinpoint" when one located photo is placed on the map with a pin */
+  kind?: "lineup" | "pinpoint";
   correctCountry: string;
+  correctCode: string;
+  /** Pinpoint questions: [lat, lng] where the photo was taken */
+  location?: [number, number];
+  /** Lineup questions: the clue type every photo shares */
+  clueType?: string;
   images: QuestionImage[];
+  /** Set when every photo names the same subdivision and the country has a layer for it */
+  subdivision?: string;
+  subdivisionLayer?: string;
+  /** Multiple-choice questions: the answer plus distractors, in display order */
+  choices?: { country: string; code: string }[];
 }
 
 export interface GameMetrics {
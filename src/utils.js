@@ -1,14 +1,19 @@
+import { resolveClueType } from "./taxonomy";
+
 export const BASE = process.env.PUBLIC_URL || "";
 
 export function assetUrl(p) {
   return `${BASE}${p.startsWith("/") ? p : `/${p}`}`;
 }
 
+// Label for a clue image: the taxonomy's name for its filename stem, else the prettified stem.
 export function deriveImageName(url = "") {
   const filename = url.split("/").pop() || "";
   if (!filename) return "";
   const withoutExt = filename.replace(/\.[^.]+$/, "");
   const withoutCounter = withoutExt.replace(/\s*\(\d+\)$/, "");
+  const known = resolveClueType(withoutCounter.replace(/[\s_-]*\d+\s*$/, ""));
+  if (known) return known.label;
   const spaced = withoutCounter
     .replace(/[_-]+/g, " ")
     .replace(/([a-z])([A-Z])/g, "$1 $2")
@@ -19,3 +24,21 @@ export function deriveImageName(url = "") {
     .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
     .join(" ");
 }
+
+// localStorage can throw (private mode, quota), so persistence is best-effort.
+export function loadStored(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveStored(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // ignore -- the app keeps working from in-memory state
+  }
+}